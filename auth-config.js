@@ -0,0 +1,42 @@
+// Shared sign-in settings for Fabric Capacity Extension
+// Loaded by popup.html and options.html before their own scripts and imported by background.js, so the
+// cloud endpoints and defaults live in one place. The values are published on globalThis because the
+// pages load classic scripts while the service worker is an ES module.
+
+// Endpoints per cloud; `authConfig.cloud` picks one. managementResource is the resource URL of the
+// management scopes, which differs from the ARM host.
+globalThis.CLOUD_PROFILES = Object.freeze({
+    AzureCloud: {
+        label: 'Azure',
+        armUrl: 'https://management.azure.com',
+        loginUrl: 'https://login.microsoftonline.com',
+        graphUrl: 'https://graph.microsoft.com',
+        managementResource: 'https://management.core.windows.net/'
+    },
+    AzureUSGovernment: {
+        label: 'Azure Government',
+        armUrl: 'https://management.usgovcloudapi.net',
+        loginUrl: 'https://login.microsoftonline.us',
+        graphUrl: 'https://graph.microsoft.us',
+        managementResource: 'https://management.core.usgovcloudapi.net/'
+    },
+    AzureChinaCloud: {
+        label: 'Azure China',
+        armUrl: 'https://management.chinacloudapi.cn',
+        loginUrl: 'https://login.chinacloudapi.cn',
+        graphUrl: 'https://microsoftgraph.chinacloudapi.cn',
+        managementResource: 'https://management.core.chinacloudapi.cn/'
+    }
+});
+
+// App registration, authority and scopes used when the options page has not stored an `authConfig`.
+// Azure AD v2 does NOT allow combining scopes from different resources in one request, hence one list per resource;
+// graphDirectoryScopes are only requested when the Admins tab needs them.
+globalThis.DEFAULT_AUTH_CONFIG = Object.freeze({
+    cloud: 'AzureCloud',
+    clientId: 'b2f9922d-47b3-45de-be16-72911e143fa4',
+    tenant: 'common',
+    managementScopes: 'https://management.core.windows.net/user_impersonation offline_access openid profile',
+    graphScopes: 'https://graph.microsoft.com/User.Read openid profile', // offline_access not required again
+    graphDirectoryScopes: 'https://graph.microsoft.com/User.ReadBasic.All https://graph.microsoft.com/GroupMember.Read.All openid profile'
+});
@@ -1,23 +1,1112 @@
 // Background service worker for Fabric Capacity Extension
-// Currently minimal: reserved for future proactive refresh alarms.
-// Provides a message endpoint to force refresh if needed.
+// Owns the token lifecycle (refreshes access tokens on an alarm and hands them to the popup) and runs
+// per-capacity start/stop schedules, the auto-pause guard, the running-capacity badge and
+// state-transition notifications through chrome.alarms (even when the popup is closed).
+
+import './auth-config.js'; // defines CLOUD_PROFILES and DEFAULT_AUTH_CONFIG
 
 const REFRESH_CHECK_ALARM = 'fabric_refresh_check';
-const REFRESH_INTERVAL_MIN = 55; // ~55 minutes to stay ahead of 60m access token expiry
+const REFRESH_INTERVAL_MIN = 10; // with TOKEN_REFRESH_AHEAD_MS, stored access tokens always have 15+ minutes left
+const SCHEDULE_TICK_ALARM = 'fabric_schedule_tick';
+const SCHEDULE_TICK_MIN = 1;
+const SCHEDULE_GRACE_MIN = 15; // a slot missed while the browser slept still runs if we wake within this window
+const OPERATION_LOG_LIMIT = 200;
+const CAPACITY_POLL_ALARM = 'fabric_capacity_poll';
+const CAPACITY_POLL_MIN = 5;
+const LEGACY_ALARMS = ['fabric_autopause_check']; // replaced by CAPACITY_POLL_ALARM
+const BADGE_RUNNING_COLOR = '#107C10';
+const ACTION_TITLE = 'Fabric Capacity Extension';
+const MAX_LIST_PAGES = 50; // safety cap when following nextLink
+const POLL_WARNING_REPEAT_MS = 60 * 60 * 1000;
+const TRANSITION_NOTIFICATION_PREFIX = 'transition|';
+const SNAPSHOT_RETENTION_MS = 7 * 24 * 60 * 60 * 1000; // forget capacities not seen for a week
+const DEFAULT_NOTIFICATION_PREFS = {
+  transitions: { resumed: true, suspended: true, scaled: true },
+  mutedCapacityIds: []
+};
+const AUTO_PAUSE_WARNING_MIN = 10; // time between the warning notification and the automatic suspend
+const AUTO_PAUSE_SNOOZE_MIN = 60;
+const AUTO_PAUSE_NOTIFICATION_PREFIX = 'autopause|';
+const AUTO_PAUSE_ALARM_PREFIX = 'fabric_autopause|'; // one-shot alarm at the announced suspend time
+
+const SUBSCRIPTION_API_VERSION = '2022-12-01';
+const FABRIC_API_VERSION = '2023-11-01';
+const RESOURCE_GRAPH_API_VERSION = '2022-10-01';
+const TOKEN_SAFETY_WINDOW_MS = 3 * 60 * 1000;
+const TOKEN_REFRESH_AHEAD_MS = 25 * 60 * 1000; // the refresh alarm renews tokens expiring within this window
+const LRO_POLL_MS = 10000;
+const LRO_MAX_POLL_MS = 60 * 1000; // longest wait between polls after repeated throttling or server errors
+const LRO_TRACK_LIMIT_MS = 10 * 60 * 1000; // record 'InProgress' if Azure has not finished by then
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+async function ensureAlarms() {
+  // Also replaces the hourly refresh alarm created by earlier versions
+  if ((await chrome.alarms.get(REFRESH_CHECK_ALARM))?.periodInMinutes !== REFRESH_INTERVAL_MIN) {
+    chrome.alarms.create(REFRESH_CHECK_ALARM, { periodInMinutes: REFRESH_INTERVAL_MIN });
+  }
+  if (!await chrome.alarms.get(SCHEDULE_TICK_ALARM)) {
+    chrome.alarms.create(SCHEDULE_TICK_ALARM, { periodInMinutes: SCHEDULE_TICK_MIN });
+  }
+  if (!await chrome.alarms.get(CAPACITY_POLL_ALARM)) {
+    chrome.alarms.create(CAPACITY_POLL_ALARM, { periodInMinutes: CAPACITY_POLL_MIN });
+  }
+}
 
-chrome.runtime.onInstalled.addListener(() => {
-  chrome.alarms.create(REFRESH_CHECK_ALARM, { periodInMinutes: REFRESH_INTERVAL_MIN });
+chrome.runtime.onInstalled.addListener(async () => {
+  for (const name of LEGACY_ALARMS) {
+    await chrome.alarms.clear(name);
+  }
+  await ensureAlarms();
+  await refreshStoredTokens();
+  await pollCapacities();
+});
+
+chrome.runtime.onStartup.addListener(async () => {
+  await ensureAlarms();
+  await refreshStoredTokens();
+  await pollCapacities();
 });
 
 chrome.alarms.onAlarm.addListener(async (alarm) => {
-  if (alarm.name !== REFRESH_CHECK_ALARM) return;
-  // Ask popup (if open) to ensure token freshness; if not open nothing happens.
-  chrome.runtime.sendMessage({ type: 'BACKGROUND_REFRESH_PING' });
+  if (alarm.name === REFRESH_CHECK_ALARM) {
+    await refreshStoredTokens();
+    return;
+  }
+  if (alarm.name === SCHEDULE_TICK_ALARM) {
+    await runDueSchedules();
+    return;
+  }
+  if (alarm.name === CAPACITY_POLL_ALARM) {
+    await pollCapacities();
+    return;
+  }
+  if (alarm.name.startsWith(AUTO_PAUSE_ALARM_PREFIX)) {
+    await checkAutoPause();
+  }
+});
+
+chrome.notifications.onButtonClicked.addListener(async (notificationId, buttonIndex) => {
+  if (notificationId.startsWith(TRANSITION_NOTIFICATION_PREFIX)) {
+    await handleTransitionNotificationAction(notificationId, buttonIndex === 0 ? 'open' : 'undo');
+    return;
+  }
+  if (!notificationId.startsWith(AUTO_PAUSE_NOTIFICATION_PREFIX)) return;
+  const capacityId = notificationId.slice(AUTO_PAUSE_NOTIFICATION_PREFIX.length);
+  chrome.notifications.clear(notificationId);
+  if (buttonIndex === 0) {
+    await snoozeAutoPause(capacityId);
+  } else {
+    await autoSuspend(capacityId);
+  }
+});
+
+chrome.notifications.onClicked.addListener(async (notificationId) => {
+  if (notificationId.startsWith(TRANSITION_NOTIFICATION_PREFIX)) {
+    await handleTransitionNotificationAction(notificationId, 'open');
+  }
+});
+
+chrome.notifications.onClosed.addListener(async (notificationId) => {
+  if (notificationId.startsWith(TRANSITION_NOTIFICATION_PREFIX)) {
+    await takeNotificationContext(notificationId);
+  }
 });
 
-// Placeholder to allow future token refresh logic decoupled from popup.
 chrome.runtime.onMessage.addListener((msg, _sender, sendResponse) => {
   if (msg?.type === 'PING') {
     sendResponse({ ok: true });
+    return;
+  }
+  if (msg?.type === 'GET_ACCESS_TOKEN') {
+    getAccessToken(msg.request || {})
+      .then(token => sendResponse({ ok: Boolean(token), token }))
+      .catch(e => sendResponse({ ok: false, error: e.message }));
+    return true; // respond asynchronously
+  }
+  if (msg?.type === 'STORE_TOKEN_BUNDLE') {
+    // The popup signed in interactively; the worker stores the bundle so its refreshes cannot overwrite it
+    withBundleLock(msg.bundleKey, () => saveTokenBundle(msg.bundleKey, msg.tokenBundle))
+      .then(() => sendResponse({ ok: true }))
+      .catch(e => sendResponse({ ok: false, error: e.message }));
+    return true; // respond asynchronously
+  }
+  if (msg?.type === 'REMOVE_TOKEN_BUNDLES') {
+    Promise.all((msg.bundleKeys || []).map(bundleKey => withBundleLock(bundleKey, () => removeTokenBundle(bundleKey))))
+      .then(() => sendResponse({ ok: true }))
+      .catch(e => sendResponse({ ok: false, error: e.message }));
+    return true; // respond asynchronously
+  }
+  if (msg?.type === 'RECORD_ACTIVE_SINCE') {
+    // The popup loaded capacity states; the worker writes `capacityActiveSince` so its poll cannot overwrite them
+    updateActiveSince(msg.capacities || [])
+      .then(capacityActiveSince => sendResponse({ ok: true, capacityActiveSince }))
+      .catch(e => sendResponse({ ok: false, error: e.message }));
+    return true; // respond asynchronously
+  }
+  if (msg?.type === 'POLL_CAPACITIES') {
+    // The popup loaded capacities from Resource Graph, which lags ARM; read the states from ARM now
+    pollCapacities().catch(e => console.warn(`Capacity poll failed: ${e.message}`));
+    sendResponse({ ok: true });
+    return;
+  }
+  if (msg?.type === 'CAPACITY_SNAPSHOT') {
+    // The popup just loaded capacities; reflect them without waiting for the next poll
+    if (!msg.partial) {
+      updateBadge(msg.capacities || []);
+    }
+    queueSnapshot(msg.capacities || []);
+    sendResponse({ ok: true });
   }
 });
+
+// ---------------------------------------------------------------------------
+// Schedules
+// ---------------------------------------------------------------------------
+
+let scheduleTickInFlight = null;
+
+/**
+ * Run every schedule slot that is due. Schedules live in chrome.storage.local under
+ * `capacitySchedules` keyed by capacity id:
+ * { capacityName, accountId, tenantId, enabled, timeZone, days: [0-6], resumeAt: 'HH:MM' | '', suspendAt: 'HH:MM' | '' }
+ * A tick that fires while the previous one is still sending operations joins it instead of starting another.
+ */
+function runDueSchedules() {
+  if (!scheduleTickInFlight) {
+    scheduleTickInFlight = runScheduleTick().finally(() => {
+      scheduleTickInFlight = null;
+    });
+  }
+  return scheduleTickInFlight;
+}
+
+async function runScheduleTick() {
+  await settleAcceptedRuns();
+  const { capacitySchedules = {} } = await chrome.storage.local.get('capacitySchedules');
+  const now = new Date();
+
+  for (const [capacityId, schedule] of Object.entries(capacitySchedules)) {
+    if (!schedule?.enabled) continue;
+    let local;
+    try {
+      local = getZonedParts(now, schedule.timeZone);
+    } catch (e) {
+      console.warn(`Schedule for ${schedule.capacityName} has an invalid time zone: ${schedule.timeZone}`);
+      continue;
+    }
+    if (!schedule.days?.includes(local.weekday)) continue;
+
+    for (const [operation, timeOfDay] of [['resume', schedule.resumeAt], ['suspend', schedule.suspendAt]]) {
+      if (!timeOfDay) continue;
+      const lateByMin = local.minutes - parseTimeOfDay(timeOfDay);
+      if (lateByMin < 0 || lateByMin > SCHEDULE_GRACE_MIN) continue;
+      if (!await markScheduleSlot(`${capacityId}|${operation}`, local.dateKey)) continue;
+
+      // Only send the operation: the worker may be stopped while a long-running operation is followed.
+      // The entry stays 'Accepted' until a later tick reads the final state (settleAcceptedRuns)
+      const result = await runCapacityOperation(capacityId, operation, schedule.accountId, schedule.tenantId, { wait: false });
+      await appendOperationLog({
+        source: 'schedule',
+        capacityId,
+        capacityName: schedule.capacityName,
+        operation,
+        ...result
+      });
+    }
+  }
+}
+
+/**
+ * Poll each scheduled run still logged as 'Accepted' once and record the final state when Azure has settled it.
+ * Runs that have not settled within LRO_TRACK_LIMIT_MS are recorded as 'InProgress', like a followed operation.
+ */
+async function settleAcceptedRuns() {
+  const { operationLog = [] } = await chrome.storage.local.get('operationLog');
+  for (const entry of operationLog) {
+    if (entry.status !== 'Accepted' || !entry.tracking) continue;
+    const poll = await readOperationStatus(entry.tracking);
+    if (poll.status === 'InProgress' && Date.now() - entry.at < LRO_TRACK_LIMIT_MS) continue;
+    await updateOperationLog(log => {
+      const stored = log.find(item => item.at === entry.at && item.capacityId === entry.capacityId && item.status === 'Accepted');
+      if (!stored) return;
+      stored.status = poll.status;
+      stored.detail = poll.status === 'InProgress' ? 'Still running when tracking stopped' : poll.detail;
+      delete stored.tracking;
+    });
+  }
+}
+
+/**
+ * Record that a schedule slot ran on the given date, merging with the marks currently in storage.
+ * Resolves to false when the slot was already marked, so the operation is never sent twice.
+ */
+async function markScheduleSlot(runKey, dateKey) {
+  const { scheduleLastRuns = {} } = await chrome.storage.local.get('scheduleLastRuns');
+  if (scheduleLastRuns[runKey] === dateKey) return false;
+  scheduleLastRuns[runKey] = dateKey;
+  await chrome.storage.local.set({ scheduleLastRuns });
+  return true;
+}
+
+/** Wall-clock date, weekday (0 = Sunday) and minutes since midnight in the given IANA time zone */
+function getZonedParts(date, timeZone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit'
+  }).formatToParts(date).map(part => [part.type, part.value]));
+  return {
+    dateKey: `${parts.year}-${parts.month}-${parts.day}`,
+    weekday: WEEKDAYS.indexOf(parts.weekday),
+    minutes: Number(parts.hour) * 60 + Number(parts.minute)
+  };
+}
+
+function parseTimeOfDay(value) {
+  const [hours, minutes] = value.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+// ---------------------------------------------------------------------------
+// Capacity polling and badge
+// ---------------------------------------------------------------------------
+
+let capacityPollInFlight = null;
+
+/**
+ * Poll capacity state with the stored refresh token: every subscription of the active account and
+ * tenant (for the badge), plus auto-pause targets that live in other accounts or tenants.
+ * A poll requested while one is running (alarm and popup) joins it.
+ */
+function pollCapacities() {
+  if (!capacityPollInFlight) {
+    capacityPollInFlight = runCapacityPoll().finally(() => {
+      capacityPollInFlight = null;
+    });
+  }
+  return capacityPollInFlight;
+}
+
+async function runCapacityPoll() {
+  const { autoPauseRules = {}, activeAccountId, activeTenantId } =
+    await chrome.storage.local.get(['autoPauseRules', 'activeAccountId', 'activeTenantId']);
+  const activeKey = `${activeAccountId}/${activeTenantId}`;
+
+  const activeCapacities = await listActiveTenantCapacities();
+  const capacities = [...(activeCapacities || [])];
+  const polledSubscriptions = new Set(capacities.map(c => `${activeKey}|${c.subscriptionId}`));
+
+  const extraTargets = new Map();
+  for (const rule of Object.values(autoPauseRules)) {
+    if (!rule?.enabled) continue;
+    const ruleKey = `${rule.accountId || activeAccountId}/${rule.tenantId || activeTenantId}|${rule.subscriptionId}`;
+    if (ruleKey.startsWith(`${activeKey}|`) && activeCapacities) continue;
+    if (!polledSubscriptions.has(ruleKey)) extraTargets.set(ruleKey, rule);
+  }
+  for (const { accountId, tenantId, subscriptionId } of extraTargets.values()) {
+    try {
+      const token = await getManagementToken(accountId, tenantId);
+      if (!token) continue;
+      capacities.push(...await getCapacitiesForSubscription(token, subscriptionId));
+    } catch (e) {
+      console.warn(`Capacity poll failed for subscription ${subscriptionId}: ${e.message}`);
+    }
+  }
+
+  await updateActiveSince(capacities);
+  if (activeCapacities) {
+    await updateBadge(activeCapacities);
+    await queueSnapshot(activeCapacities);
+  } else {
+    await clearBadge();
+  }
+  await checkAutoPause();
+}
+
+/** All capacities visible to the active account in the active tenant; null when not signed in */
+async function listActiveTenantCapacities() {
+  const token = await getManagementToken();
+  if (!token) return null;
+  try {
+    let subscriptions;
+    try {
+      // Resource Graph lags ARM, so it only narrows the poll to subscriptions that hold capacities
+      subscriptions = (await queryCapacitySubscriptions(token)).map(subscriptionId => ({ subscriptionId }));
+    } catch (e) {
+      console.warn(`Resource Graph query failed, listing every subscription: ${e.message}`);
+      subscriptions = await fetchAllPages(token, await armUrl(`/subscriptions?api-version=${SUBSCRIPTION_API_VERSION}`), 'subscriptions');
+    }
+    const capacities = [];
+    for (const subscription of subscriptions) {
+      try {
+        capacities.push(...await getCapacitiesForSubscription(token, subscription.subscriptionId));
+      } catch (e) {
+        console.warn(`Capacity poll failed for subscription ${subscription.subscriptionId}: ${e.message}`);
+      }
+    }
+    return capacities;
+  } catch (e) {
+    console.warn(`Capacity poll failed: ${e.message}`);
+    return null;
+  }
+}
+
+/** Badge = number of Active capacities; tooltip lists them */
+async function updateBadge(capacities) {
+  const running = capacities.filter(c => c.properties?.state === 'Active');
+  await chrome.action.setBadgeBackgroundColor({ color: BADGE_RUNNING_COLOR });
+  await chrome.action.setBadgeText({ text: running.length > 0 ? String(running.length) : '' });
+  const title = running.length > 0
+    ? `${ACTION_TITLE}\n${running.length} running:\n` + running.map(c => `• ${c.name} (${c.sku?.name || '?'})`).join('\n')
+    : `${ACTION_TITLE}\nNo capacities running`;
+  await chrome.action.setTitle({ title });
+}
+
+async function clearBadge() {
+  await chrome.action.setBadgeText({ text: '' });
+  await chrome.action.setTitle({ title: ACTION_TITLE });
+}
+
+// ---------------------------------------------------------------------------
+// State-transition notifications
+// ---------------------------------------------------------------------------
+
+let snapshotQueue = Promise.resolve();
+
+/** Serialize snapshot comparisons so a popup refresh and a poll never notify the same change twice */
+function queueSnapshot(capacities) {
+  snapshotQueue = snapshotQueue.then(() => recordSnapshot(capacities)).catch(e => {
+    console.warn(`Snapshot comparison failed: ${e.message}`);
+  });
+  return snapshotQueue;
+}
+
+/**
+ * Compare a capacity list with the previous snapshot (`capacitySnapshot` in storage), notify about
+ * resumed / suspended / scaled capacities the user has not muted, and store the new snapshot.
+ */
+async function recordSnapshot(capacities) {
+  const { capacitySnapshot = {}, notificationPrefs, activeAccountId, activeTenantId } =
+    await chrome.storage.local.get(['capacitySnapshot', 'notificationPrefs', 'activeAccountId', 'activeTenantId']);
+  const prefs = { ...DEFAULT_NOTIFICATION_PREFS, ...notificationPrefs };
+  const now = Date.now();
+  const transitions = [];
+
+  for (const capacity of capacities) {
+    const previous = capacitySnapshot[capacity.id];
+    const state = capacity.properties?.state;
+    const sku = capacity.sku?.name;
+    if (previous) {
+      if (state === 'Active' && ['Paused', 'Resuming'].includes(previous.state)) {
+        transitions.push({ capacityId: capacity.id, transition: 'resumed', previous });
+      } else if (state === 'Paused' && ['Active', 'Pausing'].includes(previous.state)) {
+        transitions.push({ capacityId: capacity.id, transition: 'suspended', previous });
+      }
+      if (previous.sku && sku && previous.sku !== sku) {
+        transitions.push({ capacityId: capacity.id, transition: 'scaled', previous, sku });
+      }
+    }
+    capacitySnapshot[capacity.id] = {
+      name: capacity.name,
+      state,
+      sku,
+      subscriptionId: capacity.subscriptionId,
+      accountId: previous?.accountId || activeAccountId,
+      tenantId: previous?.tenantId || activeTenantId,
+      seenAt: now
+    };
+  }
+  for (const [capacityId, entry] of Object.entries(capacitySnapshot)) {
+    if (now - entry.seenAt > SNAPSHOT_RETENTION_MS) delete capacitySnapshot[capacityId];
+  }
+  await chrome.storage.local.set({ capacitySnapshot });
+
+  for (const change of transitions) {
+    if (!prefs.transitions[change.transition]) continue;
+    if (prefs.mutedCapacityIds.includes(change.capacityId)) continue;
+    await notifyTransition(change, capacitySnapshot[change.capacityId]);
+  }
+}
+
+async function notifyTransition(change, current) {
+  const messages = {
+    resumed: `${current.name} is now running (${current.sku}).`,
+    suspended: `${current.name} has been paused.`,
+    scaled: `${current.name} was scaled from ${change.previous.sku} to ${change.sku}.`
+  };
+  const notificationId = `${TRANSITION_NOTIFICATION_PREFIX}${change.capacityId}|${Date.now()}`;
+  const { notificationContexts = {} } = await chrome.storage.local.get('notificationContexts');
+  notificationContexts[notificationId] = {
+    capacityId: change.capacityId,
+    capacityName: current.name,
+    transition: change.transition,
+    previousSku: change.previous.sku,
+    accountId: current.accountId,
+    tenantId: current.tenantId
+  };
+  await chrome.storage.local.set({ notificationContexts });
+  chrome.notifications.create(notificationId, {
+    type: 'basic',
+    iconUrl: 'icon.png',
+    title: `Capacity ${change.transition}`,
+    message: messages[change.transition],
+    buttons: [{ title: 'Open' }, { title: 'Undo' }]
+  });
+}
+
+/** Remove and return the stored context of a transition notification */
+async function takeNotificationContext(notificationId) {
+  const { notificationContexts = {} } = await chrome.storage.local.get('notificationContexts');
+  const context = notificationContexts[notificationId];
+  delete notificationContexts[notificationId];
+  await chrome.storage.local.set({ notificationContexts });
+  return context;
+}
+
+async function handleTransitionNotificationAction(notificationId, action) {
+  const context = await takeNotificationContext(notificationId);
+  chrome.notifications.clear(notificationId);
+  if (!context) return;
+
+  if (action === 'open') {
+    await openPopupOnCapacity(context.capacityId);
+    return;
+  }
+
+  let operation;
+  let result;
+  if (context.transition === 'scaled') {
+    operation = `scale to ${context.previousSku}`;
+    result = await runSkuUpdate(context.capacityId, context.previousSku, context.accountId, context.tenantId);
+  } else {
+    operation = context.transition === 'resumed' ? 'suspend' : 'resume';
+    result = await runCapacityOperation(context.capacityId, operation, context.accountId, context.tenantId);
+  }
+  await appendOperationLog({
+    source: 'undo',
+    capacityId: context.capacityId,
+    capacityName: context.capacityName,
+    operation,
+    ...result
+  });
+  chrome.notifications.create({
+    type: 'basic',
+    iconUrl: 'icon.png',
+    title: result.status === 'Failed' ? `Undo failed for ${context.capacityName}` : `Undo: ${context.capacityName}`,
+    message: result.detail || `${operation}: ${result.status}`
+  });
+}
+
+/** Open the popup with a capacity selected; falls back to a popup window where openPopup is unavailable */
+async function openPopupOnCapacity(capacityId) {
+  await chrome.storage.local.set({ focusCapacityId: capacityId });
+  try {
+    await chrome.action.openPopup();
+  } catch (e) {
+    await chrome.windows.create({ url: chrome.runtime.getURL('popup.html'), type: 'popup', width: 540, height: 720 });
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Auto-pause
+// ---------------------------------------------------------------------------
+
+/**
+ * Warn about, then suspend, capacities that have been Active longer than their limit.
+ * Rules live in chrome.storage.local under `autoPauseRules` keyed by capacity id:
+ * { capacityName, accountId, tenantId, subscriptionId, enabled, maxRunningHours }
+ * `capacityActiveSince` (maintained by pollCapacities) records when a capacity was first seen Active;
+ * `autoPauseState` holds the pending warning ({ warnedAt, pauseAt }) or snooze ({ snoozedUntil }) per capacity.
+ * The suspend itself runs from a one-shot alarm at `pauseAt`, so it happens at the time the warning announced.
+ */
+async function checkAutoPause() {
+  const { autoPauseRules = {}, capacityActiveSince: activeSince = {} } =
+    await chrome.storage.local.get(['autoPauseRules', 'capacityActiveSince']);
+  const enabledRules = Object.entries(autoPauseRules).filter(([, rule]) => rule?.enabled && rule.maxRunningHours > 0);
+  if (enabledRules.length === 0) return;
+  const now = Date.now();
+
+  for (const [capacityId, rule] of enabledRules) {
+    // Read the state per capacity: a snooze clicked while this check runs must not be overwritten
+    const { autoPauseState = {} } = await chrome.storage.local.get('autoPauseState');
+    const state = autoPauseState[capacityId] || {};
+    const since = activeSince[capacityId];
+    if (!since) {
+      if (autoPauseState[capacityId]) await setAutoPauseState(capacityId, null);
+      continue;
+    }
+    if (now - since < rule.maxRunningHours * 3600 * 1000) continue;
+    if (state.snoozedUntil && now < state.snoozedUntil) continue;
+
+    if (!state.pauseAt) {
+      const pauseAt = now + AUTO_PAUSE_WARNING_MIN * 60 * 1000;
+      await setAutoPauseState(capacityId, { warnedAt: now, pauseAt });
+      chrome.alarms.create(`${AUTO_PAUSE_ALARM_PREFIX}${capacityId}`, { when: pauseAt });
+      chrome.notifications.create(`${AUTO_PAUSE_NOTIFICATION_PREFIX}${capacityId}`, {
+        type: 'basic',
+        iconUrl: 'icon.png',
+        title: `${rule.capacityName} has been running for ${formatHours(now - since)}`,
+        message: `It will be suspended at ${formatClockTime(pauseAt)} (limit: ${rule.maxRunningHours}h).`,
+        buttons: [{ title: `Snooze ${AUTO_PAUSE_SNOOZE_MIN} minutes` }, { title: 'Suspend now' }],
+        requireInteraction: true
+      });
+    } else if (now >= state.pauseAt) {
+      await autoSuspend(capacityId, { unlessSnoozed: true });
+    }
+  }
+}
+
+let activeSinceQueue = Promise.resolve();
+
+/**
+ * Track when each capacity was first seen Active; resolves to the updated map. The poll and the popup
+ * (RECORD_ACTIVE_SINCE) both report states, so updates are applied one at a time.
+ */
+function updateActiveSince(capacities) {
+  const run = activeSinceQueue.catch(() => {}).then(async () => {
+    const { capacityActiveSince = {} } = await chrome.storage.local.get('capacityActiveSince');
+    for (const capacity of capacities) {
+      if (capacity.properties?.state === 'Active') {
+        capacityActiveSince[capacity.id] = capacityActiveSince[capacity.id] || Date.now();
+      } else {
+        delete capacityActiveSince[capacity.id];
+      }
+    }
+    await chrome.storage.local.set({ capacityActiveSince });
+    return capacityActiveSince;
+  });
+  activeSinceQueue = run;
+  return run;
+}
+
+async function snoozeAutoPause(capacityId) {
+  await chrome.alarms.clear(`${AUTO_PAUSE_ALARM_PREFIX}${capacityId}`);
+  await setAutoPauseState(capacityId, { snoozedUntil: Date.now() + AUTO_PAUSE_SNOOZE_MIN * 60 * 1000 });
+}
+
+/** Replace (or with null, remove) one capacity's entry in `autoPauseState`, keeping the others as stored */
+async function setAutoPauseState(capacityId, state) {
+  const { autoPauseState = {} } = await chrome.storage.local.get('autoPauseState');
+  if (state) {
+    autoPauseState[capacityId] = state;
+  } else {
+    delete autoPauseState[capacityId];
+  }
+  await chrome.storage.local.set({ autoPauseState });
+}
+
+/**
+ * Suspend a capacity on behalf of its auto-pause rule and record the result. With `unlessSnoozed`
+ * (the automatic path) the stored state is checked once more so a snooze clicked at the last moment wins.
+ */
+async function autoSuspend(capacityId, { unlessSnoozed = false } = {}) {
+  const { autoPauseRules = {}, autoPauseState = {} } =
+    await chrome.storage.local.get(['autoPauseRules', 'autoPauseState']);
+  const rule = autoPauseRules[capacityId];
+  if (!rule) return;
+  if (unlessSnoozed && autoPauseState[capacityId]?.snoozedUntil > Date.now()) return;
+  await chrome.alarms.clear(`${AUTO_PAUSE_ALARM_PREFIX}${capacityId}`);
+  await setAutoPauseState(capacityId, null);
+
+  const result = await runCapacityOperation(capacityId, 'suspend', rule.accountId, rule.tenantId);
+  await appendOperationLog({
+    source: 'auto-pause',
+    capacityId,
+    capacityName: rule.capacityName,
+    operation: 'suspend',
+    ...result
+  });
+  chrome.notifications.create({
+    type: 'basic',
+    iconUrl: 'icon.png',
+    title: result.status === 'Failed' ? `Auto-pause of ${rule.capacityName} failed` : `${rule.capacityName} auto-paused`,
+    message: result.detail || `Suspended after exceeding ${rule.maxRunningHours}h of running time.`
+  });
+}
+
+function formatClockTime(timestamp) {
+  return new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
+
+function formatHours(ms) {
+  const hours = ms / 3600000;
+  return hours >= 10 ? `${Math.round(hours)}h` : `${hours.toFixed(1)}h`;
+}
+
+// ---------------------------------------------------------------------------
+// Capacity operations
+// ---------------------------------------------------------------------------
+
+/** List Fabric capacities in a subscription (empty when the provider is not registered) */
+async function getCapacitiesForSubscription(token, subscriptionId) {
+  const capacities = await fetchAllPages(token,
+    await armUrl(`/subscriptions/${subscriptionId}/providers/Microsoft.Fabric/capacities?api-version=${FABRIC_API_VERSION}`),
+    `capacities in subscription ${subscriptionId}`);
+  return capacities.map(capacity => ({ ...capacity, subscriptionId }));
+}
+
+/** Ids of the subscriptions holding Fabric capacities, from one Resource Graph query (paged with $skipToken) */
+async function queryCapacitySubscriptions(token) {
+  const query = "resources | where type =~ 'microsoft.fabric/capacities' | distinct subscriptionId | order by subscriptionId asc";
+  const subscriptionIds = [];
+  let skipToken = null;
+  let pages = 0;
+  do {
+    if (pages >= MAX_LIST_PAGES) {
+      await appendPollWarning(`Partial results: stopped reading Resource Graph after ${MAX_LIST_PAGES} pages`);
+      break;
+    }
+    const options = { $top: 1000, resultFormat: 'objectArray' };
+    if (skipToken) options.$skipToken = skipToken;
+    const response = await fetch(await armUrl(`/providers/Microsoft.ResourceGraph/resources?api-version=${RESOURCE_GRAPH_API_VERSION}`), {
+      method: 'POST',
+      headers: authHeaders(token),
+      body: JSON.stringify({ query, options })
+    });
+    if (!response.ok) throw new Error(await describeErrorResponse(response));
+    const json = await response.json();
+    subscriptionIds.push(...(json.data || []).map(row => row.subscriptionId));
+    skipToken = json.$skipToken || null;
+    pages++;
+  } while (skipToken);
+  return subscriptionIds;
+}
+
+/**
+ * GET an ARM list and follow nextLink (at most MAX_LIST_PAGES pages). A 404 on the first page is an
+ * empty list, other first-page errors throw; a failing later page is recorded in the operation log
+ * and the items read so far returned.
+ */
+async function fetchAllPages(token, url, description) {
+  const items = [];
+  let nextLink = url;
+  let pages = 0;
+  while (nextLink) {
+    if (pages >= MAX_LIST_PAGES) {
+      await appendPollWarning(`Partial results: stopped listing ${description} after ${MAX_LIST_PAGES} pages (${items.length} items)`);
+      break;
+    }
+    const response = await fetch(nextLink, { headers: authHeaders(token) });
+    if (!response.ok) {
+      if (pages === 0) {
+        if (response.status === 404) return [];
+        throw new Error(await describeErrorResponse(response));
+      }
+      await appendPollWarning(`Partial results: page ${pages + 1} of ${description} failed: ${await describeErrorResponse(response)}; ` +
+        `continuing with the first ${items.length} items`);
+      break;
+    }
+    const json = await response.json();
+    items.push(...(json.value || []));
+    nextLink = json.nextLink || null;
+    pages++;
+  }
+  return items;
+}
+
+/**
+ * Resume or suspend a capacity through the same endpoints the popup uses and, unless `wait` is false,
+ * follow the ARM long-running operation. Resolves to { status, detail } for the operation log.
+ */
+async function runCapacityOperation(capacityId, operation, accountId, tenantId, { wait = true } = {}) {
+  try {
+    const token = await getManagementToken(accountId, tenantId);
+    if (!token) {
+      return { status: 'Failed', detail: 'Not signed in (open the popup and sign in)' };
+    }
+
+    const capacityResponse = await fetch(await armUrl(`${capacityId}?api-version=${FABRIC_API_VERSION}`), {
+      headers: authHeaders(token)
+    });
+    if (!capacityResponse.ok) {
+      return { status: 'Failed', detail: `Could not read capacity: ${capacityResponse.status} ${capacityResponse.statusText}` };
+    }
+    const capacity = await capacityResponse.json();
+    const state = capacity.properties?.state;
+    if ((operation === 'resume' && state === 'Active') || (operation === 'suspend' && state === 'Paused')) {
+      return { status: 'Skipped', detail: `Already ${state}` };
+    }
+
+    const response = await fetch(await armUrl(`${capacityId}/${operation}?api-version=${FABRIC_API_VERSION}`), {
+      method: 'POST',
+      headers: authHeaders(token)
+    });
+    if (!response.ok) {
+      return { status: 'Failed', detail: await describeErrorResponse(response) };
+    }
+    if (!wait) {
+      const tracking = getOperationTracking(response);
+      return tracking
+        ? { status: 'Accepted', detail: `HTTP ${response.status}; Azure completes the operation in the background`, tracking: { ...tracking, accountId, tenantId } }
+        : { status: 'Succeeded', detail: `HTTP ${response.status}` };
+    }
+    return await waitForOperation(response, accountId, tenantId);
+  } catch (e) {
+    return { status: 'Failed', detail: e.message };
+  }
+}
+
+/** Change a capacity's SKU with the same PATCH the popup sends and follow the operation */
+async function runSkuUpdate(capacityId, skuName, accountId, tenantId) {
+  try {
+    const token = await getManagementToken(accountId, tenantId);
+    if (!token) {
+      return { status: 'Failed', detail: 'Not signed in (open the popup and sign in)' };
+    }
+    const response = await fetch(await armUrl(`${capacityId}?api-version=${FABRIC_API_VERSION}`), {
+      method: 'PATCH',
+      headers: authHeaders(token),
+      body: JSON.stringify({ sku: { name: skuName } })
+    });
+    if (!response.ok) {
+      return { status: 'Failed', detail: await describeErrorResponse(response) };
+    }
+    return await waitForOperation(response, accountId, tenantId);
+  } catch (e) {
+    return { status: 'Failed', detail: e.message };
+  }
+}
+
+/** Azure-AsyncOperation / Location URLs of an accepted operation, or null when it completed synchronously */
+function getOperationTracking(response) {
+  const asyncOperationUrl = response.headers.get('Azure-AsyncOperation');
+  const locationUrl = response.headers.get('Location');
+  return (asyncOperationUrl || locationUrl) ? { asyncOperationUrl, locationUrl } : null;
+}
+
+/**
+ * Follow Azure-AsyncOperation / Location headers until the operation settles or we stop tracking.
+ * Throttled (429), server error (5xx) and failed polls are retried with backoff or the server's Retry-After.
+ */
+async function waitForOperation(response, accountId, tenantId) {
+  const tracking = getOperationTracking(response);
+  if (!tracking) {
+    return { status: 'Succeeded', detail: `HTTP ${response.status}` };
+  }
+
+  const startedAt = Date.now();
+  let delayMs = parseRetryAfterMs(response.headers.get('Retry-After')) || LRO_POLL_MS;
+  let transientFailures = 0;
+  while (Date.now() - startedAt < LRO_TRACK_LIMIT_MS) {
+    await new Promise(resolve => setTimeout(resolve, delayMs));
+    const poll = await readOperationStatus({ ...tracking, accountId, tenantId });
+    if (poll.transient) {
+      delayMs = poll.retryAfterMs ?? Math.min(LRO_MAX_POLL_MS, LRO_POLL_MS * 2 ** ++transientFailures);
+      console.warn(`Operation poll failed (${poll.detail}); polling again in ${Math.round(delayMs / 1000)}s`);
+      continue;
+    }
+    if (poll.status !== 'InProgress') {
+      return { status: poll.status, detail: poll.detail };
+    }
+    transientFailures = 0;
+    delayMs = poll.retryAfterMs || LRO_POLL_MS;
+  }
+  return { status: 'InProgress', detail: 'Still running when tracking stopped' };
+}
+
+/**
+ * Poll an operation once. Resolves to { status, detail, retryAfterMs } with status 'InProgress' while it runs;
+ * `transient` marks a poll that failed itself (network error, 429, 5xx) and says nothing about the operation.
+ */
+async function readOperationStatus({ asyncOperationUrl, locationUrl, accountId, tenantId }) {
+  let poll;
+  try {
+    const token = await getManagementToken(accountId, tenantId);
+    poll = await fetch(asyncOperationUrl || locationUrl, { headers: authHeaders(token) });
+  } catch (e) {
+    return { status: 'InProgress', detail: e.message, retryAfterMs: null, transient: true };
+  }
+  const retryAfterMs = parseRetryAfterMs(poll.headers.get('Retry-After'));
+  if (poll.status === 429 || poll.status >= 500) {
+    return { status: 'InProgress', detail: `${poll.status} ${poll.statusText}`, retryAfterMs, transient: true };
+  }
+  if (asyncOperationUrl) {
+    if (!poll.ok) {
+      return { status: 'Failed', detail: await describeErrorResponse(poll), retryAfterMs };
+    }
+    const body = await poll.json();
+    if (['Succeeded', 'Failed', 'Canceled'].includes(body.status)) {
+      return { status: body.status, detail: body.error ? formatArmError(body.error) : '', retryAfterMs };
+    }
+    return { status: 'InProgress', detail: '', retryAfterMs };
+  }
+  if (poll.status === 202) {
+    return { status: 'InProgress', detail: '', retryAfterMs };
+  }
+  return poll.ok
+    ? { status: 'Succeeded', detail: '', retryAfterMs }
+    : { status: 'Failed', detail: await describeErrorResponse(poll), retryAfterMs };
+}
+
+/** Retry-After header (delta seconds or HTTP date) in milliseconds, or null */
+function parseRetryAfterMs(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+async function describeErrorResponse(response) {
+  const text = await response.text();
+  try {
+    const body = JSON.parse(text);
+    if (body.error) return formatArmError(body.error);
+  } catch (e) {
+    // fall through to the raw status
+  }
+  return `${response.status} ${response.statusText}`;
+}
+
+function formatArmError(error) {
+  return [error.code, error.message].filter(Boolean).join(': ');
+}
+
+let operationLogQueue = Promise.resolve();
+
+/** Read-modify-write the shared operation log one change at a time; alarms and messages can record entries at once */
+function updateOperationLog(mutate) {
+  const run = operationLogQueue.catch(() => {}).then(async () => {
+    const { operationLog = [] } = await chrome.storage.local.get('operationLog');
+    await mutate(operationLog);
+    await chrome.storage.local.set({ operationLog: operationLog.slice(-OPERATION_LOG_LIMIT) });
+  });
+  operationLogQueue = run;
+  return run;
+}
+
+/** Append an entry to the shared operation log shown in the popup */
+async function appendOperationLog(entry) {
+  await updateOperationLog(operationLog => {
+    operationLog.push({ at: Date.now(), ...entry });
+  });
+}
+
+/**
+ * Record a warning from the background poll (no capacity) in the operation log, where the popup shows it.
+ * The same warning is recorded at most once per POLL_WARNING_REPEAT_MS so a lasting problem does not fill the log.
+ */
+async function appendPollWarning(detail) {
+  console.warn(detail);
+  await updateOperationLog(operationLog => {
+    if (operationLog.some(entry => entry.source === 'poll' && entry.detail === detail && Date.now() - entry.at < POLL_WARNING_REPEAT_MS)) {
+      return;
+    }
+    operationLog.push({ at: Date.now(), source: 'poll', operation: 'list', status: 'Partial', detail });
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Tokens
+// ---------------------------------------------------------------------------
+
+function authHeaders(token) {
+  return {
+    'Authorization': `Bearer ${token}`,
+    'Content-Type': 'application/json'
+  };
+}
+
+/**
+ * Return a management access token for an account and tenant (defaults to the active ones), or null
+ * when that account is not signed in to that tenant.
+ */
+async function getManagementToken(accountId, tenantId) {
+  const token = await getAccessToken({ accountId, tenantId });
+  return token?.accessToken || null;
+}
+
+/**
+ * The worker owns the token bundles ("<accountId>/<tenantId>" in `tokenBundles`): it hands out cached
+ * access tokens and is the only place refresh tokens are redeemed. The popup asks through GET_ACCESS_TOKEN.
+ * request: { resource: 'management' | 'graph', scopes, requiredScope, accountId, tenantId, seedTenantId, forceRefresh }
+ * - scopes: what to redeem when a new token is needed (defaults to the configured management / Graph scopes)
+ * - requiredScope: a cached Graph token is only reused if its scp claim carries this scope
+ * - seedTenantId: when the tenant has no bundle yet, redeem that tenant's refresh token in the new tenant
+ * Resolves to { accessToken, expiresAt } or null.
+ */
+async function getAccessToken(request = {}) {
+  const { activeAccountId, activeTenantId } = await chrome.storage.local.get(['activeAccountId', 'activeTenantId']);
+  const accountId = request.accountId || activeAccountId;
+  const tenantId = request.tenantId || activeTenantId;
+  if (!accountId || !tenantId) return null;
+  const bundleKey = `${accountId}/${tenantId}`;
+  return withBundleLock(bundleKey, () => getBundleToken(bundleKey, tenantId, request));
+}
+
+async function getBundleToken(bundleKey, tenantId, { resource = 'management', scopes, requiredScope, seedTenantId, forceRefresh = false }) {
+  // Read inside the lock so a caller queued behind a refresh sees the refreshed bundle
+  const { tokenBundles = {}, tokenSessionInfo = {} } = await chrome.storage.local.get(['tokenBundles', 'tokenSessionInfo']);
+  let tokenBundle = tokenBundles[bundleKey];
+  if (tokenBundle && !await isTokenBundleIntact(tokenBundle, tokenSessionInfo[bundleKey])) {
+    console.warn(`Token bundle ${bundleKey} failed its integrity check (SHA-256 mismatch)`);
+    return null;
+  }
+  if (!tokenBundle?.refreshToken && seedTenantId) {
+    const seedBundle = tokenBundles[`${bundleKey.split('/')[0]}/${seedTenantId}`];
+    if (seedBundle?.refreshToken) {
+      tokenBundle = { refreshToken: seedBundle.refreshToken, resourceTokens: {} };
+    }
+  }
+  if (!tokenBundle?.refreshToken) return null;
+
+  const authConfig = await getAuthConfig();
+  const cached = tokenBundle.resourceTokens?.[resource];
+  const hasRequiredScope = !requiredScope || (decodeJwtPayload(cached?.accessToken)?.scp || '').split(' ').includes(requiredScope);
+  if (!forceRefresh && cached && hasRequiredScope && Date.now() < cached.expiresAt - TOKEN_SAFETY_WINDOW_MS) {
+    return { accessToken: cached.accessToken, expiresAt: cached.expiresAt };
+  }
+
+  const { loginUrl } = getCloudProfile(authConfig);
+  const response = await fetch(`${loginUrl}/${tenantId}/oauth2/v2.0/token`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({
+      client_id: authConfig.clientId,
+      grant_type: 'refresh_token',
+      refresh_token: tokenBundle.refreshToken,
+      scope: scopes || (resource === 'graph' ? authConfig.graphScopes : authConfig.managementScopes)
+    }).toString()
+  });
+  const json = await response.json();
+  if (!response.ok) {
+    console.warn(`Token refresh for ${bundleKey} (${resource}) failed:`, json.error);
+    const consentRequired = json.suberror === 'consent_required' || /AADSTS65001/.test(json.error_description || '');
+    if (json.error === 'invalid_grant' && !consentRequired && tokenBundles[bundleKey]) {
+      // Refresh token revoked or expired: the account has to sign in to this tenant again
+      await removeTokenBundle(bundleKey);
+    }
+    return null;
+  }
+
+  tokenBundle.refreshToken = json.refresh_token || tokenBundle.refreshToken;
+  tokenBundle.resourceTokens = tokenBundle.resourceTokens || {};
+  tokenBundle.resourceTokens[resource] = {
+    accessToken: json.access_token,
+    expiresAt: Date.now() + ((json.expires_in || 3600) * 1000),
+    payload: decodeJwtPayload(json.access_token)
+  };
+  await saveTokenBundle(bundleKey, tokenBundle);
+  const token = tokenBundle.resourceTokens[resource];
+  return { accessToken: token.accessToken, expiresAt: token.expiresAt };
+}
+
+/**
+ * Renew every stored access token that expires within TOKEN_REFRESH_AHEAD_MS, so schedules, the badge
+ * poll and notifications keep working with the popup closed and opening the popup never waits on a refresh.
+ * Graph tokens are renewed with the scopes they already carry.
+ */
+async function refreshStoredTokens() {
+  const { tokenBundles = {} } = await chrome.storage.local.get('tokenBundles');
+  const authConfig = await getAuthConfig();
+  for (const [bundleKey, tokenBundle] of Object.entries(tokenBundles)) {
+    if (!tokenBundle?.refreshToken) continue;
+    const [accountId, tenantId] = bundleKey.split('/');
+    for (const [resource, token] of Object.entries(tokenBundle.resourceTokens || {})) {
+      if (!token?.expiresAt || token.expiresAt - Date.now() > TOKEN_REFRESH_AHEAD_MS) continue;
+      const scopes = resource === 'graph' ? getGraphScopesOf(token.accessToken, authConfig) : authConfig.managementScopes;
+      try {
+        await getAccessToken({ resource, scopes, accountId, tenantId, forceRefresh: true });
+      } catch (e) {
+        console.warn(`Token refresh for ${bundleKey} (${resource}) failed: ${e.message}`);
+      }
+    }
+  }
+}
+
+/** Scope string that asks for the same Graph permissions a token was issued with */
+function getGraphScopesOf(accessToken, authConfig) {
+  const granted = (decodeJwtPayload(accessToken)?.scp || '').split(' ')
+    .filter(scope => scope && !['openid', 'profile', 'email', 'offline_access'].includes(scope));
+  if (granted.length === 0) return authConfig.graphScopes;
+  const { graphUrl } = getCloudProfile(authConfig);
+  return [...granted.map(scope => `${graphUrl}/${scope}`), 'openid', 'profile'].join(' ');
+}
+
+/** App registration and scopes from the options page, over the defaults */
+async function getAuthConfig() {
+  const { authConfig } = await chrome.storage.local.get('authConfig');
+  return { ...DEFAULT_AUTH_CONFIG, ...(authConfig || {}) };
+}
+
+/** Endpoints of the configured cloud */
+function getCloudProfile(authConfig) {
+  return CLOUD_PROFILES[authConfig.cloud] || CLOUD_PROFILES.AzureCloud;
+}
+
+/** Absolute ARM URL in the configured cloud for a path starting with / */
+async function armUrl(path) {
+  return `${getCloudProfile(await getAuthConfig()).armUrl}${path}`;
+}
+
+const bundleLocks = new Map();
+
+/** Run token work for one bundle at a time: refresh tokens rotate, so two parallel redemptions would race */
+function withBundleLock(bundleKey, task) {
+  const run = (bundleLocks.get(bundleKey) || Promise.resolve()).catch(() => {}).then(task);
+  bundleLocks.set(bundleKey, run);
+  return run.finally(() => {
+    if (bundleLocks.get(bundleKey) === run) bundleLocks.delete(bundleKey);
+  });
+}
+
+let tokenStorageQueue = Promise.resolve();
+
+/**
+ * Read-modify-write `tokenBundles` / `tokenSessionInfo` one change at a time. Bundle locks only order work
+ * on the same bundle; without this, two bundles saved together would each write back the other's old copy.
+ * The worker is the only writer: the popup sends STORE_TOKEN_BUNDLE / REMOVE_TOKEN_BUNDLES.
+ */
+function updateTokenStorage(mutate) {
+  const run = tokenStorageQueue.catch(() => {}).then(async () => {
+    const { tokenBundles = {}, tokenSessionInfo = {} } = await chrome.storage.local.get(['tokenBundles', 'tokenSessionInfo']);
+    await mutate(tokenBundles, tokenSessionInfo);
+    await chrome.storage.local.set({ tokenBundles, tokenSessionInfo });
+  });
+  tokenStorageQueue = run;
+  return run;
+}
+
+async function saveTokenBundle(bundleKey, tokenBundle) {
+  // getBundleToken checks each bundle against this hash before using it (isTokenBundleIntact)
+  const anyAccess = tokenBundle.resourceTokens?.management?.accessToken || tokenBundle.resourceTokens?.graph?.accessToken || '';
+  const tokenHash = anyAccess ? await computeSHA256(anyAccess) : '';
+  await updateTokenStorage((tokenBundles, tokenSessionInfo) => {
+    tokenBundles[bundleKey] = tokenBundle;
+    tokenSessionInfo[bundleKey] = { cachedAt: Date.now(), tokenHash };
+  });
+}
+
+/** Compare a bundle with the hash stored next to it in `tokenSessionInfo` */
+async function isTokenBundleIntact(tokenBundle, sessionInfo) {
+  if (!sessionInfo?.tokenHash) return true;
+  const anyAccess = tokenBundle.resourceTokens?.management?.accessToken || tokenBundle.resourceTokens?.graph?.accessToken || '';
+  return (anyAccess ? await computeSHA256(anyAccess) : '') === sessionInfo.tokenHash;
+}
+
+async function removeTokenBundle(bundleKey) {
+  await updateTokenStorage((tokenBundles, tokenSessionInfo) => {
+    delete tokenBundles[bundleKey];
+    delete tokenSessionInfo[bundleKey];
+  });
+}
+
+/** Claims of a JWT access token (not verified; only used to read scp) */
+function decodeJwtPayload(accessToken) {
+  try {
+    const part = accessToken.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+    return JSON.parse(atob(part.padEnd(part.length + (4 - part.length % 4) % 4, '=')));
+  } catch (e) {
+    return null;
+  }
+}
+
+async function computeSHA256(str) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(str));
+  return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+}
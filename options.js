@@ -0,0 +1,337 @@
+// Options page for Fabric Capacity Extension
+// Edits the cloud and app registration used for sign-in. The settings are stored as `authConfig` in
+// chrome.storage.local and read by popup.js and background.js; a test sign-in checks them against Entra.
+// CLOUD_PROFILES and DEFAULT_AUTH_CONFIG come from auth-config.js.
+
+const GUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const DOMAIN_PATTERN = /^[a-z0-9-]+(\.[a-z0-9-]+)+$/i;
+const OIDC_SCOPES = ['openid', 'profile', 'email', 'offline_access'];
+
+class AuthOptionsPage {
+    constructor() {
+        this.savedConfig = { ...DEFAULT_AUTH_CONFIG };
+        // JSON of the settings that last passed a test sign-in
+        this.verifiedConfigJson = null;
+        // Cloud whose resource URLs the scope fields currently hold
+        this.formCloud = DEFAULT_AUTH_CONFIG.cloud;
+    }
+
+    /**
+     * Load the stored settings into the form and wire the buttons
+     */
+    async init() {
+        this.cloudSelect = document.getElementById('cloudSelect');
+        this.clientIdInput = document.getElementById('clientIdInput');
+        this.tenantInput = document.getElementById('tenantInput');
+        this.redirectUriInput = document.getElementById('redirectUriInput');
+        this.managementScopesInput = document.getElementById('managementScopesInput');
+        this.graphScopesInput = document.getElementById('graphScopesInput');
+        this.graphDirectoryScopesInput = document.getElementById('graphDirectoryScopesInput');
+        this.testSignInButton = document.getElementById('testSignInButton');
+        this.saveButton = document.getElementById('saveButton');
+        this.resetButton = document.getElementById('resetButton');
+        this.statusElement = document.getElementById('optionsStatus');
+
+        for (const [cloud, profile] of Object.entries(CLOUD_PROFILES)) {
+            this.cloudSelect.add(new Option(profile.label, cloud));
+        }
+        const { authConfig } = await chrome.storage.local.get('authConfig');
+        this.savedConfig = { ...DEFAULT_AUTH_CONFIG, ...(authConfig || {}) };
+        this.fillForm(this.savedConfig);
+        this.redirectUriInput.value = chrome.identity.getRedirectURL();
+
+        document.getElementById('copyRedirectUriButton').addEventListener('click', async () => {
+            await navigator.clipboard.writeText(this.redirectUriInput.value);
+            this.showStatus('Redirect URI copied', 'info');
+        });
+        this.cloudSelect.addEventListener('change', () => this.onCloudChange());
+        this.testSignInButton.addEventListener('click', () => this.testSignIn());
+        this.saveButton.addEventListener('click', () => this.save());
+        this.resetButton.addEventListener('click', () => {
+            this.fillForm(DEFAULT_AUTH_CONFIG);
+            this.showStatus('Defaults restored in the form; click Save to keep them', 'info');
+        });
+    }
+
+    fillForm(config) {
+        this.cloudSelect.value = config.cloud;
+        this.formCloud = config.cloud;
+        this.clientIdInput.value = config.clientId;
+        this.tenantInput.value = config.tenant;
+        this.managementScopesInput.value = config.managementScopes;
+        this.graphScopesInput.value = config.graphScopes;
+        this.graphDirectoryScopesInput.value = config.graphDirectoryScopes;
+    }
+
+    /** Current form values with whitespace normalised */
+    readForm() {
+        const normalise = value => value.trim().split(/\s+/).filter(Boolean).join(' ');
+        return {
+            cloud: this.cloudSelect.value,
+            clientId: this.clientIdInput.value.trim(),
+            tenant: this.tenantInput.value.trim(),
+            managementScopes: normalise(this.managementScopesInput.value),
+            graphScopes: normalise(this.graphScopesInput.value),
+            graphDirectoryScopes: normalise(this.graphDirectoryScopesInput.value)
+        };
+    }
+
+    /**
+     * Switch the scope fields to the newly selected cloud's resource URLs, so endpoints and scopes
+     * always change together
+     */
+    onCloudChange() {
+        const from = CLOUD_PROFILES[this.formCloud];
+        const to = CLOUD_PROFILES[this.cloudSelect.value];
+        const rewrite = scope => {
+            for (const [fromPrefix, toPrefix] of [
+                [from.managementResource, to.managementResource],
+                [`${from.armUrl}/`, `${to.armUrl}/`],
+                [`${from.graphUrl}/`, `${to.graphUrl}/`]
+            ]) {
+                if (scope.startsWith(fromPrefix)) return toPrefix + scope.slice(fromPrefix.length);
+            }
+            return scope;
+        };
+        for (const input of [this.managementScopesInput, this.graphScopesInput, this.graphDirectoryScopesInput]) {
+            input.value = input.value.trim().split(/\s+/).filter(Boolean).map(rewrite).join(' ');
+        }
+        this.formCloud = this.cloudSelect.value;
+        if (this.cloudSelect.value !== 'AzureCloud' && this.clientIdInput.value.trim() === DEFAULT_AUTH_CONFIG.clientId) {
+            this.showStatus(`${to.label} has its own Entra ID: enter the client ID of an app registration created there.`, 'info');
+        }
+    }
+
+    /**
+     * Check the settings locally; returns a list of problems keyed to their inputs (empty when valid)
+     */
+    validate(config) {
+        const problems = [];
+        const cloud = CLOUD_PROFILES[config.cloud];
+        if (!GUID_PATTERN.test(config.clientId)) {
+            problems.push({ input: this.clientIdInput, message: 'The client ID must be a GUID (Application (client) ID on the app registration overview).' });
+        } else if (config.cloud !== 'AzureCloud' && config.clientId === DEFAULT_AUTH_CONFIG.clientId) {
+            problems.push({ input: this.clientIdInput, message: `The built-in app registration only exists in public Azure; ${cloud.label} needs the client ID of an app registration in its own Entra ID.` });
+        }
+        if (config.tenant === 'consumers') {
+            problems.push({ input: this.tenantInput, message: 'Personal Microsoft accounts cannot manage Azure resources; use "common", "organizations" or a tenant.' });
+        } else if (!['common', 'organizations'].includes(config.tenant) && !GUID_PATTERN.test(config.tenant) && !DOMAIN_PATTERN.test(config.tenant)) {
+            problems.push({ input: this.tenantInput, message: 'The authority must be "common", "organizations", a tenant ID or a domain name.' });
+        }
+
+        const managementScopes = config.managementScopes.split(' ');
+        if (!managementScopes.some(scope => scope.startsWith(cloud.managementResource) || scope.startsWith(`${cloud.armUrl}/`))) {
+            problems.push({ input: this.managementScopesInput, message: `The management scopes need ${cloud.managementResource}user_impersonation (or a ${cloud.armUrl} scope).` });
+        }
+        if (!managementScopes.includes('offline_access')) {
+            problems.push({ input: this.managementScopesInput, message: 'The management scopes need offline_access, otherwise no refresh token is issued.' });
+        }
+        // Entra v2 cannot issue one token for several resources, and each cloud has its own resource URLs
+        for (const [input, scopes, resources] of [
+            [this.managementScopesInput, config.managementScopes, [cloud.managementResource, `${cloud.armUrl}/`]],
+            [this.graphScopesInput, config.graphScopes, [`${cloud.graphUrl}/`]],
+            [this.graphDirectoryScopesInput, config.graphDirectoryScopes, [`${cloud.graphUrl}/`]]
+        ]) {
+            const resourceScopes = scopes.split(' ').filter(scope => scope && !OIDC_SCOPES.includes(scope));
+            if (resourceScopes.length === 0) {
+                problems.push({ input, message: 'Each scope list needs at least one API scope.' });
+            } else if (resourceScopes.some(scope => !resources.some(resource => scope.startsWith(resource)))) {
+                problems.push({ input, message: `Scopes in one list must all belong to ${resources[0]}… (${cloud.label})` });
+            }
+        }
+        return problems;
+    }
+
+    /** Mark invalid inputs and report the problems; returns true when there are none */
+    checkForm(config) {
+        const problems = this.validate(config);
+        for (const input of [this.cloudSelect, this.clientIdInput, this.tenantInput, this.managementScopesInput, this.graphScopesInput, this.graphDirectoryScopesInput]) {
+            input.classList.toggle('invalid', problems.some(problem => problem.input === input));
+        }
+        if (problems.length > 0) {
+            this.showStatus(problems.map(problem => problem.message).join('\n'), 'error');
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Sign in interactively with the form values (PKCE), then redeem the refresh token for the Graph
+     * profile scopes. Nothing is stored: the tokens only prove the registration works.
+     */
+    async testSignIn() {
+        const config = this.readForm();
+        if (!this.checkForm(config)) return;
+        if (!await this.requestHostAccess(config)) return;
+        this.setBusy(true);
+        this.showStatus('Opening the sign-in window…', 'info');
+        try {
+            const { codeVerifier, codeChallenge } = await this.generatePkcePair();
+            const code = await this.launchSignIn(config, codeChallenge);
+            const tokens = await this.redeemToken(config, config.tenant, {
+                grant_type: 'authorization_code',
+                code,
+                code_verifier: codeVerifier,
+                redirect_uri: chrome.identity.getRedirectURL(),
+                scope: config.managementScopes
+            });
+            const payload = this.decodeJwtPayload(tokens.access_token) || {};
+            const lines = [
+                `Signed in as ${payload.upn || payload.preferred_username || payload.unique_name || 'unknown user'} (tenant ${payload.tid || '?'}).`,
+                `Management scopes granted: ${payload.scp || 'none'}`
+            ];
+            if (!tokens.refresh_token) {
+                this.showStatus([...lines, 'No refresh token was returned; check that the management scopes include offline_access.'].join('\n'), 'error');
+                return;
+            }
+
+            // Redeem in the tenant that issued the token ('common' cannot redeem for a specific resource tenant)
+            try {
+                const graphTokens = await this.redeemToken(config, payload.tid || config.tenant, {
+                    grant_type: 'refresh_token',
+                    refresh_token: tokens.refresh_token,
+                    scope: config.graphScopes
+                });
+                lines.push(`Graph scopes granted: ${this.decodeJwtPayload(graphTokens.access_token)?.scp || 'none'}`);
+            } catch (e) {
+                lines.push(`Graph profile scopes failed (user names will not be shown): ${e.message}`);
+            }
+
+            this.verifiedConfigJson = JSON.stringify(config);
+            this.showStatus(['Test sign-in succeeded.', ...lines].join('\n'), 'success');
+        } catch (error) {
+            this.showStatus(`Test sign-in failed: ${error.message}`, 'error');
+        } finally {
+            this.setBusy(false);
+        }
+    }
+
+    /**
+     * Store the settings. Changing the cloud, client ID or authority signs every account out, because their
+     * refresh tokens were issued to the previous registration.
+     */
+    async save() {
+        const config = this.readForm();
+        if (!this.checkForm(config)) return;
+        if (!await this.requestHostAccess(config)) return;
+        if (this.verifiedConfigJson !== JSON.stringify(config) &&
+            !confirm('These settings have not passed a test sign-in. Save them anyway?')) {
+            return;
+        }
+
+        const registrationChanged = config.cloud !== this.savedConfig.cloud ||
+            config.clientId !== this.savedConfig.clientId || config.tenant !== this.savedConfig.tenant;
+        const { tokenBundles = {} } = await chrome.storage.local.get('tokenBundles');
+        const signedIn = Object.keys(tokenBundles).length > 0;
+        if (registrationChanged && signedIn &&
+            !confirm('Changing the cloud, client ID or authority signs out every account. Continue?')) {
+            return;
+        }
+
+        await chrome.storage.local.set({ authConfig: config });
+        if (registrationChanged && signedIn) {
+            // The background worker is the only writer of token bundles (see REMOVE_TOKEN_BUNDLES in background.js)
+            await chrome.runtime.sendMessage({ type: 'REMOVE_TOKEN_BUNDLES', bundleKeys: Object.keys(tokenBundles) });
+            await chrome.storage.local.remove(['accounts', 'activeAccountId', 'activeTenantId']);
+        }
+        this.savedConfig = config;
+        this.showStatus(registrationChanged && signedIn
+            ? 'Settings saved. All accounts were signed out; open the extension to sign in again.'
+            : 'Settings saved.', 'success');
+    }
+
+    /**
+     * Ask for the optional host permissions of a sovereign cloud (public Azure hosts are granted at install).
+     * Must run before any other await in a click handler: the browser only prompts during a user gesture.
+     */
+    async requestHostAccess(config) {
+        if (config.cloud === 'AzureCloud') return true;
+        const { label, armUrl, loginUrl, graphUrl } = CLOUD_PROFILES[config.cloud];
+        const granted = await chrome.permissions.request({ origins: [armUrl, loginUrl, graphUrl].map(url => `${url}/*`) });
+        if (!granted) {
+            this.showStatus(`Access to the ${label} endpoints was not granted; the extension cannot reach that cloud without it.`, 'error');
+        }
+        return granted;
+    }
+
+    /** Open the Entra sign-in window and resolve to the authorization code */
+    launchSignIn(config, codeChallenge) {
+        return new Promise((resolve, reject) => {
+            const state = crypto.randomUUID();
+            const authUrl = `${CLOUD_PROFILES[config.cloud].loginUrl}/${encodeURIComponent(config.tenant)}/oauth2/v2.0/authorize` +
+                `?client_id=${encodeURIComponent(config.clientId)}` +
+                `&response_type=code` +
+                `&redirect_uri=${encodeURIComponent(chrome.identity.getRedirectURL())}` +
+                `&scope=${encodeURIComponent(config.managementScopes)}` +
+                `&state=${state}` +
+                `&code_challenge=${codeChallenge}` +
+                `&code_challenge_method=S256` +
+                `&prompt=select_account`;
+            chrome.identity.launchWebAuthFlow({ url: authUrl, interactive: true }, responseUrl => {
+                if (chrome.runtime.lastError) {
+                    reject(new Error(chrome.runtime.lastError.message));
+                    return;
+                }
+                const params = new URL(responseUrl).searchParams;
+                if (params.get('state') !== state) {
+                    reject(new Error('State mismatch (CSRF protection failed)'));
+                } else if (params.get('error')) {
+                    reject(new Error(`${params.get('error')}: ${params.get('error_description') || ''}`));
+                } else if (!params.get('code')) {
+                    reject(new Error('Authorization code missing in response'));
+                } else {
+                    resolve(params.get('code'));
+                }
+            });
+        });
+    }
+
+    /** POST to the token endpoint; throws with the Entra error description */
+    async redeemToken(config, tenant, fields) {
+        const response = await fetch(`${CLOUD_PROFILES[config.cloud].loginUrl}/${encodeURIComponent(tenant)}/oauth2/v2.0/token`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            body: new URLSearchParams({ client_id: config.clientId, ...fields }).toString()
+        });
+        const json = await response.json();
+        if (!response.ok) {
+            throw new Error(json.error_description || json.error || `Token request failed (${response.status})`);
+        }
+        return json;
+    }
+
+    /** Generate PKCE code_verifier & code_challenge pair */
+    async generatePkcePair() {
+        const array = crypto.getRandomValues(new Uint8Array(32));
+        const codeVerifier = Array.from(array).map(b => b.toString(16).padStart(2, '0')).join('');
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(codeVerifier));
+        const codeChallenge = btoa(String.fromCharCode(...new Uint8Array(digest)))
+            .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+        return { codeVerifier, codeChallenge };
+    }
+
+    /** Claims of a JWT access token (not verified; only displayed) */
+    decodeJwtPayload(accessToken) {
+        try {
+            const part = accessToken.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+            return JSON.parse(atob(part.padEnd(part.length + (4 - part.length % 4) % 4, '=')));
+        } catch (e) {
+            return null;
+        }
+    }
+
+    setBusy(busy) {
+        this.testSignInButton.disabled = busy;
+        this.saveButton.disabled = busy;
+        this.resetButton.disabled = busy;
+    }
+
+    showStatus(message, kind) {
+        this.statusElement.textContent = message;
+        this.statusElement.className = `status ${kind}`;
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    new AuthOptionsPage().init();
+});
@@ -19,25 +19,116 @@ class FabricCapacityManager {
         this.loadingIndicator = null;
         this.debugToggle = null;
         this.tenantInfo = null;
+        this.cloudInfo = null;
         this.initialLoadComplete = false;
         this.skuContainer = null;
         this.skuSelect = null;
         this.updateSkuButton = null;
         this.availableSkus = [];
-        this.tokenRefreshTimerId = null;
+        this.availableSkusSource = 'live'; // 'live' (ARM) or 'fallback' (static offline list)
+        this.skuCache = {};
+        // Bundled price table (pricing.json), display currency and first-seen-Active timestamps for cost counters
+        this.priceTable = null;
+        this.currency = null;
+        this.capacityActiveSince = {};
+        this.costTickerId = null;
+        // Signed-in accounts ({ accountId, username, displayName, homeTenantId, activeTenantId }) and the one in use
+        this.accounts = {};
+        this.activeAccountId = null;
+        // Directory (tenant) whose token bundle is in use; null means the configured authority (authConfig.tenant)
+        this.activeTenantId = null;
+        this.tenants = [];
+        // In-flight ARM long-running operations keyed by capacity id ({ label, startedAt })
+        this.pendingOperations = new Map();
+        this.pendingTickerId = null;
+        // Admin editor state: { capacityId, members, dirty } and Graph display names keyed by member
+        this.adminDraft = null;
+        this.directoryNames = new Map();
+        this.adminSearchTimerId = null;
+        // Tag editor state: { capacityId, rows: [{ key, value }], dirty }
+        this.tagDraft = null;
+        // History tab: { capacityId, events, nextLink, seenCorrelationIds }; loaded when the tab is opened
+        this.activityState = null;
+        this.activeDetailsTab = 'schedule';
+        // Azure Monitor metrics: chosen window (persisted), the metric picked from each capacity's
+        // metricDefinitions (false when none fits) and { points, definition, fetchedAt } cached per
+        // "capacityId|window" (also in chrome.storage.local, so reopening the popup does not refetch)
+        this.metricsWindow = '24h';
+        this.metricDefinitions = new Map();
+        this.metricCache = new Map();
+        // Search / filter / sort / grouping of the capacity list (persisted as `listView`); tag is "key" or "key=value"
+        this.listView = { search: '', state: '', sku: '', tag: '', sortBy: 'name', groupBy: '', collapsedGroups: [], favoritesOnly: false };
+        this.listViewSaveDelayMs = 500; // the search box changes the view on every keystroke
+        this.listViewSaveTimerId = null;
+        // Starred capacity ids, kept in chrome.storage.sync so they follow the browser profile, and the
+        // tenant each was starred in (lower-cased id -> tenant id) so the favourites view only queries the active tenant
+        this.favoriteCapacityIds = [];
+        this.favoriteCapacityTenants = {};
+        // Multi-selection for bulk operations (capacity ids) and the anchor row for shift-click ranges
+        this.bulkSelection = new Set();
+        this.bulkAnchorIndex = null;
+        this.bulkConcurrency = 3;
+        this.subscriptionNames = {};
         
-        // API endpoints and configuration
-        this.baseUrl = 'https://management.azure.com';
-        this.graphUrl = 'https://graph.microsoft.com';
+        // API endpoints and configuration (replaced by the selected cloud's endpoints in applyCloudProfile)
+        this.cloudProfiles = CLOUD_PROFILES; // from auth-config.js
+        this.cloudProfile = this.cloudProfiles.AzureCloud;
+        this.baseUrl = this.cloudProfile.armUrl;
+        this.graphUrl = this.cloudProfile.graphUrl;
         this.subscriptionApiVersion = '2022-12-01';
         this.fabricApiVersion = '2023-11-01';
+        this.resourceApiVersion = '2021-04-01'; // resource groups and resource provider metadata
+        this.maxListPages = 50; // safety cap when following nextLink
+        // Region SKU lists change rarely; refetch once a day
+        this.skuCacheTtlMs = 24 * 60 * 60 * 1000;
+        // Offline fallback when the SKU APIs cannot be reached (not region-checked)
+        this.fallbackSkuNames = ['F2', 'F4', 'F8', 'F16', 'F32', 'F64', 'F128', 'F256', 'F512', 'F1024', 'F2048'];
         
-        // Resource-specific scope strings. Azure AD v2 does NOT allow combining scopes from different resources
-        // in a single authorize request. We start with management, later request Graph token using refresh token.
-        this.managementScopes = 'https://management.core.windows.net/user_impersonation offline_access openid profile';
-        this.graphScopes = 'https://graph.microsoft.com/User.Read openid profile'; // offline_access not required again
+        // App registration, authority and scopes: defaults from auth-config.js, overrides stored by the options page
+        // as `authConfig`. We start with the management scopes, later request a Graph token using the refresh token.
+        this.loginBaseUrl = this.cloudProfile.loginUrl;
+        this.defaultAuthConfig = DEFAULT_AUTH_CONFIG;
+        this.authConfig = { ...this.defaultAuthConfig };
+        this.graphUserScopes = 'https://graph.microsoft.com/User.ReadBasic.All openid profile'; // fallback without group consent
         // Proactive refresh safety window (ms before expiry)
         this.refreshSafetyWindowMs = 3 * 60 * 1000; // 3 minutes
+        // Long-running operation polling (used when ARM does not send Retry-After)
+        this.lroDefaultPollMs = 5000;
+        this.lroMaxPollMs = 60 * 1000; // longest wait between polls after repeated throttling or server errors
+        this.lroTimeoutMs = 30 * 60 * 1000; // give up tracking after 30 minutes
+        this.locksApiVersion = '2016-09-01';
+        this.activityLogApiVersion = '2015-04-01';
+        this.activityLogDays = 90; // Activity Log retention
+        this.metricsApiVersion = '2023-10-01';
+        // Fabric capacity unit (CU) metrics, matched by exact name (lower-cased); other metrics are never charted
+        this.cuMetricNames = ['cuutilization', 'cuutilizationpercentage', 'capacityunitutilization', 'capacityutilization'];
+        this.metricWindows = {
+            '1h': { timespan: 'PT1H', interval: 'PT1M', label: 'last hour' },
+            '24h': { timespan: 'P1D', interval: 'PT15M', label: 'last 24 hours' },
+            '7d': { timespan: 'P7D', interval: 'PT1H', label: 'last 7 days' }
+        };
+        this.metricCacheTtlMs = 5 * 60 * 1000;
+        // Regional Fabric CU quota per "subscriptionId|region" ({ used, limit, headroom, fetchedAt })
+        this.quotaCache = new Map();
+        this.quotaCacheTtlMs = 60 * 1000;
+        // Capacity discovery through Azure Resource Graph (per-subscription listing is the fallback)
+        this.resourceGraphApiVersion = '2022-10-01';
+        this.resourceGraphPageSize = 1000;
+        this.resourceGraphUnavailable = false; // set when the query is rejected (400 / 403); stays on the fallback for this session
+        this.capacitiesFromResourceGraph = false; // whether this.capacities came from Resource Graph (may lag ARM)
+        // Resource Graph lags ARM by up to a few minutes: capacities changed recently are re-read from ARM on refresh
+        this.resourceGraphLagMs = 5 * 60 * 1000;
+        this.recentlyChangedCapacities = new Map(); // lower-cased capacity id -> completedAt
+        // Retry policy for idempotent ARM calls (makeApiCall)
+        this.retryableStatuses = [429, 500, 502, 503, 504];
+        this.retryMaxAttempts = 4;
+        this.retryBaseDelayMs = 1000;
+        this.retryMaxDelayMs = 30 * 1000;
+        this.retryMaxTotalWaitMs = 60 * 1000; // give up when the waits would add up to more than this
+        // Slow down when x-ms-ratelimit-remaining-* says the ARM request budget is nearly spent
+        this.rateLimitLowWatermark = 10;
+        this.rateLimitPauseMs = 2000;
+        this.rateLimitPauseUntil = 0;
     }
 
     /**
@@ -53,7 +144,11 @@ class FabricCapacityManager {
             }
 
             this.setupEventListeners();
+            await this.loadAuthConfig();
+            await this.loadPriceTable();
             this.log('Extension initialized');
+            const { operationLog = [] } = await this.storageGet('operationLog');
+            this.logBackgroundWarnings(operationLog, Date.now() - 60 * 60 * 1000); // warnings of the last hour
             this.log('Click the refresh button to load capacities');
             if (this.autoRefreshOnOpen) {
                 this.log('Auto-refresh on open enabled; refreshing capacities...');
@@ -77,15 +172,73 @@ class FabricCapacityManager {
         this.capacityList = document.getElementById('capacityList');
         this.startButton = document.getElementById('startButton');
         this.stopButton = document.getElementById('stopButton');
+        this.deleteButton = document.getElementById('deleteButton');
     this.loadingIndicator = document.getElementById('loadingIndicator');
     this.debugToggle = document.getElementById('debugToggle');
     this.autoRefreshToggle = document.getElementById('autoRefreshToggle');
         this.refreshButton = document.getElementById('refreshButton');
         this.tenantInfo = document.getElementById('tenantInfo');
+        this.cloudInfo = document.getElementById('cloudInfo');
+        this.tenantSelect = document.getElementById('tenantSelect');
+        this.accountSelect = document.getElementById('accountSelect');
         this.skuContainer = document.getElementById('skuContainer');
         this.skuSelect = document.getElementById('skuSelect');
         this.updateSkuButton = document.getElementById('updateSkuButton');
+        this.currencySelect = document.getElementById('currencySelect');
         this.logoutButton = document.getElementById('logoutButton');
+        this.settingsButton = document.getElementById('settingsButton');
+        this.detailsPanel = document.getElementById('detailsPanel');
+        this.scheduleEnabled = document.getElementById('scheduleEnabled');
+        this.scheduleDays = document.getElementById('scheduleDays');
+        this.scheduleResumeAt = document.getElementById('scheduleResumeAt');
+        this.scheduleSuspendAt = document.getElementById('scheduleSuspendAt');
+        this.scheduleTimeZone = document.getElementById('scheduleTimeZone');
+        this.saveScheduleButton = document.getElementById('saveScheduleButton');
+        this.autoPauseEnabled = document.getElementById('autoPauseEnabled');
+        this.autoPauseHours = document.getElementById('autoPauseHours');
+        this.saveAutoPauseButton = document.getElementById('saveAutoPauseButton');
+        this.autoPauseStatus = document.getElementById('autoPauseStatus');
+        this.operationHistory = document.getElementById('operationHistory');
+        this.notifyCapacityToggle = document.getElementById('notifyCapacityToggle');
+        this.notifyTransitions = document.getElementById('notifyTransitions');
+        this.adminList = document.getElementById('adminList');
+        this.adminSearch = document.getElementById('adminSearch');
+        this.adminSearchResults = document.getElementById('adminSearchResults');
+        this.saveAdminsButton = document.getElementById('saveAdminsButton');
+        this.tagFilter = document.getElementById('tagFilter');
+        this.capacitySearch = document.getElementById('capacitySearch');
+        this.favoritesOnlyToggle = document.getElementById('favoritesOnlyToggle');
+        this.bulkBar = document.getElementById('bulkBar');
+        this.bulkCount = document.getElementById('bulkCount');
+        this.bulkStartButton = document.getElementById('bulkStartButton');
+        this.bulkStopButton = document.getElementById('bulkStopButton');
+        this.bulkSkuSelect = document.getElementById('bulkSkuSelect');
+        this.bulkResizeButton = document.getElementById('bulkResizeButton');
+        this.bulkClearButton = document.getElementById('bulkClearButton');
+        this.stateFilter = document.getElementById('stateFilter');
+        this.skuFilter = document.getElementById('skuFilter');
+        this.sortBySelect = document.getElementById('sortBySelect');
+        this.groupBySelect = document.getElementById('groupBySelect');
+        this.tagList = document.getElementById('tagList');
+        this.addTagButton = document.getElementById('addTagButton');
+        this.saveTagsButton = document.getElementById('saveTagsButton');
+        this.activityList = document.getElementById('activityList');
+        this.activityStatus = document.getElementById('activityStatus');
+        this.activityMoreButton = document.getElementById('activityMoreButton');
+        this.metricsSummary = document.getElementById('metricsSummary');
+        this.metricsWindowSelect = document.getElementById('metricsWindowSelect');
+        this.metricsChart = document.getElementById('metricsChart');
+        this.newCapacityButton = document.getElementById('newCapacityButton');
+        this.createPanel = document.getElementById('createPanel');
+        this.createSubscription = document.getElementById('createSubscription');
+        this.createResourceGroup = document.getElementById('createResourceGroup');
+        this.createLocation = document.getElementById('createLocation');
+        this.createSku = document.getElementById('createSku');
+        this.createName = document.getElementById('createName');
+        this.createAdmins = document.getElementById('createAdmins');
+        this.createStatus = document.getElementById('createStatus');
+        this.cancelCreateButton = document.getElementById('cancelCreateButton');
+        this.createCapacityButton = document.getElementById('createCapacityButton');
 
         // Verify all elements were found
         const elements = {
@@ -93,15 +246,73 @@ class FabricCapacityManager {
             capacityList: this.capacityList,
             startButton: this.startButton,
             stopButton: this.stopButton,
+            deleteButton: this.deleteButton,
             loadingIndicator: this.loadingIndicator,
             debugToggle: this.debugToggle,
             autoRefreshToggle: this.autoRefreshToggle,
             refreshButton: this.refreshButton,
             tenantInfo: this.tenantInfo,
+            cloudInfo: this.cloudInfo,
+            tenantSelect: this.tenantSelect,
+            accountSelect: this.accountSelect,
             skuContainer: this.skuContainer,
             skuSelect: this.skuSelect,
             updateSkuButton: this.updateSkuButton,
-            logoutButton: this.logoutButton
+            currencySelect: this.currencySelect,
+            logoutButton: this.logoutButton,
+            settingsButton: this.settingsButton,
+            detailsPanel: this.detailsPanel,
+            scheduleEnabled: this.scheduleEnabled,
+            scheduleDays: this.scheduleDays,
+            scheduleResumeAt: this.scheduleResumeAt,
+            scheduleSuspendAt: this.scheduleSuspendAt,
+            scheduleTimeZone: this.scheduleTimeZone,
+            saveScheduleButton: this.saveScheduleButton,
+            autoPauseEnabled: this.autoPauseEnabled,
+            autoPauseHours: this.autoPauseHours,
+            saveAutoPauseButton: this.saveAutoPauseButton,
+            autoPauseStatus: this.autoPauseStatus,
+            operationHistory: this.operationHistory,
+            notifyCapacityToggle: this.notifyCapacityToggle,
+            notifyTransitions: this.notifyTransitions,
+            adminList: this.adminList,
+            adminSearch: this.adminSearch,
+            adminSearchResults: this.adminSearchResults,
+            saveAdminsButton: this.saveAdminsButton,
+            tagFilter: this.tagFilter,
+            capacitySearch: this.capacitySearch,
+            favoritesOnlyToggle: this.favoritesOnlyToggle,
+            bulkBar: this.bulkBar,
+            bulkCount: this.bulkCount,
+            bulkStartButton: this.bulkStartButton,
+            bulkStopButton: this.bulkStopButton,
+            bulkSkuSelect: this.bulkSkuSelect,
+            bulkResizeButton: this.bulkResizeButton,
+            bulkClearButton: this.bulkClearButton,
+            stateFilter: this.stateFilter,
+            skuFilter: this.skuFilter,
+            sortBySelect: this.sortBySelect,
+            groupBySelect: this.groupBySelect,
+            tagList: this.tagList,
+            addTagButton: this.addTagButton,
+            saveTagsButton: this.saveTagsButton,
+            activityList: this.activityList,
+            activityStatus: this.activityStatus,
+            activityMoreButton: this.activityMoreButton,
+            metricsSummary: this.metricsSummary,
+            metricsWindowSelect: this.metricsWindowSelect,
+            metricsChart: this.metricsChart,
+            newCapacityButton: this.newCapacityButton,
+            createPanel: this.createPanel,
+            createSubscription: this.createSubscription,
+            createResourceGroup: this.createResourceGroup,
+            createLocation: this.createLocation,
+            createSku: this.createSku,
+            createName: this.createName,
+            createAdmins: this.createAdmins,
+            createStatus: this.createStatus,
+            cancelCreateButton: this.cancelCreateButton,
+            createCapacityButton: this.createCapacityButton
         };
 
         for (const [name, element] of Object.entries(elements)) {
@@ -113,8 +324,19 @@ class FabricCapacityManager {
         }
 
         // Load persisted preferences
-        chrome.storage.local.get(['debugMode', 'autoRefreshOnOpen'], (result) => {
+        chrome.storage.local.get(['debugMode', 'autoRefreshOnOpen', 'activeTenantId', 'accounts', 'activeAccountId', 'focusCapacityId', 'listView', 'metricsWindow'], (result) => {
             this.debugMode = result.debugMode || false;
+            this.metricsWindow = this.metricWindows[result.metricsWindow] ? result.metricsWindow : this.metricsWindow;
+            this.metricsWindowSelect.value = this.metricsWindow;
+            this.listView = { ...this.listView, ...result.listView };
+            this.capacitySearch.value = this.listView.search;
+            this.sortBySelect.value = this.listView.sortBy;
+            this.groupBySelect.value = this.listView.groupBy;
+            this.renderFavoritesToggle();
+            this.activeTenantId = result.activeTenantId || null;
+            this.accounts = result.accounts || {};
+            this.activeAccountId = result.activeAccountId || null;
+            this.populateAccountSelect();
             this.debugToggle.checked = this.debugMode;
             this.autoRefreshOnOpen = !!result.autoRefreshOnOpen;
             if (this.autoRefreshToggle) {
@@ -124,6 +346,19 @@ class FabricCapacityManager {
             if (this.autoRefreshOnOpen) {
                 this.debugLog('Auto-refresh preference loaded; triggering initial refresh');
                 setTimeout(() => this.refreshCapacities(), 300);
+            } else if (result.focusCapacityId) {
+                // Opened from a notification: load capacities so the capacity can be selected
+                this.debugLog('Opened from a notification; loading capacities');
+                setTimeout(() => this.refreshCapacities(), 300);
+            }
+        });
+
+        chrome.storage.sync.get(['favoriteCapacityIds', 'favoriteCapacityTenants'], (result) => {
+            this.favoriteCapacityIds = result.favoriteCapacityIds || [];
+            this.favoriteCapacityTenants = result.favoriteCapacityTenants || {};
+            if (this.capacities.length > 0) {
+                this.populateCapacityList();
+                this.restoreSelectionHighlight();
             }
         });
 
@@ -149,6 +384,10 @@ class FabricCapacityManager {
                 this.stopCapacity();
             });
 
+            this.deleteButton.addEventListener('click', async () => {
+                await this.deleteCapacity();
+            });
+
             this.debugToggle.addEventListener('change', (e) => {
                 this.debugMode = e.target.checked;
                 chrome.storage.local.set({ debugMode: this.debugMode });
@@ -171,10 +410,167 @@ class FabricCapacityManager {
                 this.onSkuSelectionChange();
             });
 
+            this.currencySelect.addEventListener('change', async () => {
+                this.currency = this.currencySelect.value;
+                chrome.storage.local.set({ costCurrency: this.currency });
+                this.log(`Cost estimates shown in ${this.currency}`);
+                this.updateRunningCosts();
+                const capacity = this.getSelectedCapacity();
+                if (capacity) {
+                    await this.populateSkuDropdown(capacity);
+                }
+            });
+
             this.logoutButton.addEventListener('click', async () => {
                 await this.handleLogout();
             });
 
+            this.settingsButton.addEventListener('click', () => {
+                chrome.runtime.openOptionsPage();
+            });
+
+            this.tenantSelect.addEventListener('change', async () => {
+                await this.switchTenant(this.tenantSelect.value);
+            });
+
+            this.accountSelect.addEventListener('change', async () => {
+                await this.switchAccount(this.accountSelect.value);
+            });
+
+            this.detailsPanel.querySelectorAll('.details-tab').forEach(tab => {
+                tab.addEventListener('click', () => this.showDetailsTab(tab.dataset.tab));
+            });
+
+            this.saveScheduleButton.addEventListener('click', async () => {
+                await this.saveSchedule();
+            });
+
+            const timeZoneOptions = document.getElementById('timeZoneOptions');
+            if (timeZoneOptions && Intl.supportedValuesOf) {
+                for (const zone of Intl.supportedValuesOf('timeZone')) {
+                    const option = document.createElement('option');
+                    option.value = zone;
+                    timeZoneOptions.appendChild(option);
+                }
+            }
+
+            this.saveAutoPauseButton.addEventListener('click', async () => {
+                await this.saveAutoPauseRule();
+            });
+
+            this.notifyCapacityToggle.addEventListener('change', async () => {
+                await this.saveNotificationPrefs();
+            });
+            this.notifyTransitions.querySelectorAll('input[data-transition]').forEach(input => {
+                input.addEventListener('change', async () => { await this.saveNotificationPrefs(); });
+            });
+
+            this.adminSearch.addEventListener('input', () => {
+                clearTimeout(this.adminSearchTimerId);
+                this.adminSearchTimerId = setTimeout(() => this.searchDirectory(this.adminSearch.value), 350);
+            });
+            this.saveAdminsButton.addEventListener('click', async () => {
+                await this.saveAdmins();
+            });
+
+            const listViewControls = [
+                [this.stateFilter, 'state'], [this.skuFilter, 'sku'], [this.tagFilter, 'tag'],
+                [this.sortBySelect, 'sortBy'], [this.groupBySelect, 'groupBy']
+            ];
+            for (const [control, setting] of listViewControls) {
+                control.addEventListener('change', () => this.updateListView({ [setting]: control.value }));
+            }
+            for (const name of this.sortSkuNames(this.fallbackSkuNames)) {
+                const option = document.createElement('option');
+                option.value = name;
+                option.textContent = this.describeSku(name).displayName;
+                this.bulkSkuSelect.appendChild(option);
+            }
+            this.bulkStartButton.addEventListener('click', async () => {
+                await this.runBulkStateOperation('resume');
+            });
+            this.bulkStopButton.addEventListener('click', async () => {
+                await this.runBulkStateOperation('suspend');
+            });
+            this.bulkResizeButton.addEventListener('click', async () => {
+                await this.runBulkResize(this.bulkSkuSelect.value);
+            });
+            this.bulkClearButton.addEventListener('click', () => {
+                this.bulkSelection.clear();
+                this.populateCapacityList();
+                this.restoreSelectionHighlight();
+            });
+
+            this.favoritesOnlyToggle.addEventListener('click', async () => {
+                await this.setFavoritesOnly(!this.listView.favoritesOnly);
+            });
+            this.capacitySearch.addEventListener('input', () => {
+                this.updateListView({ search: this.capacitySearch.value });
+            });
+            this.addTagButton.addEventListener('click', () => {
+                if (!this.tagDraft) return;
+                this.tagDraft.rows.push({ key: '', value: '' });
+                this.tagDraft.dirty = true;
+                this.renderTagList();
+                this.tagList.querySelector('.member-row:last-child input')?.focus();
+            });
+            this.saveTagsButton.addEventListener('click', async () => {
+                await this.saveTags();
+            });
+            this.activityMoreButton.addEventListener('click', async () => {
+                await this.loadActivityPage();
+            });
+            this.metricsWindowSelect.addEventListener('change', async () => {
+                this.metricsWindow = this.metricsWindowSelect.value;
+                chrome.storage.local.set({ metricsWindow: this.metricsWindow });
+                this.populateCapacityList();
+                this.restoreSelectionHighlight();
+                this.refreshSparklines();
+                const capacity = this.getSelectedCapacity();
+                if (capacity && this.activeDetailsTab === 'metrics') {
+                    await this.renderMetricsChart(capacity);
+                }
+            });
+
+            this.newCapacityButton.addEventListener('click', async () => {
+                await this.openCreatePanel();
+            });
+            this.cancelCreateButton.addEventListener('click', () => this.closeCreatePanel());
+            this.createSubscription.addEventListener('change', async () => {
+                await this.onCreateSubscriptionChange();
+            });
+            this.createLocation.addEventListener('change', async () => {
+                await this.onCreateLocationChange();
+            });
+            this.createName.addEventListener('change', async () => {
+                await this.validateCreateName();
+            });
+            this.createCapacityButton.addEventListener('click', async () => {
+                await this.createCapacity();
+            });
+
+            // The background worker appends automated runs while the popup may be open
+            chrome.storage.onChanged.addListener((changes, area) => {
+                if (area === 'local' && changes.operationLog) {
+                    this.renderOperationHistory();
+                    const oldLog = changes.operationLog.oldValue || [];
+                    this.logBackgroundWarnings(changes.operationLog.newValue || [], oldLog.length > 0 ? oldLog[oldLog.length - 1].at : 0);
+                }
+                // App registration changed on the options page
+                if (area === 'local' && changes.authConfig) {
+                    this.loadAuthConfig();
+                }
+                // Favourites starred in another window or synced from another device
+                if (area === 'sync' && changes.favoriteCapacityTenants) {
+                    this.favoriteCapacityTenants = changes.favoriteCapacityTenants.newValue || {};
+                }
+                if (area === 'sync' && changes.favoriteCapacityIds) {
+                    this.favoriteCapacityIds = changes.favoriteCapacityIds.newValue || [];
+                    this.populateCapacityList();
+                    this.restoreSelectionHighlight();
+                }
+            });
+
             // Add double-click on title to clear authentication (for testing/troubleshooting)
             document.querySelector('h2').addEventListener('dblclick', async () => {
                 if (confirm('Clear cached authentication? This will require re-login.')) {
@@ -195,48 +591,82 @@ class FabricCapacityManager {
     }
 
     /**
-     * Authenticate with Azure AD
+     * Read the app registration settings saved on the options page (defaults when none are stored)
+     */
+    async loadAuthConfig() {
+        const { authConfig } = await this.storageGet('authConfig');
+        this.authConfig = { ...this.defaultAuthConfig, ...(authConfig || {}) };
+        if (this.authConfig.clientId !== this.defaultAuthConfig.clientId) {
+            this.debugLog(`Using app registration ${this.authConfig.clientId} (authority ${this.authConfig.tenant})`);
+        }
+        this.applyCloudProfile();
+    }
+
+    /**
+     * Point ARM, Entra login and Graph at the configured cloud and show it in the header.
+     * The configured scopes already name that cloud's resources (the options page rewrites them).
+     */
+    applyCloudProfile() {
+        this.cloudProfile = this.cloudProfiles[this.authConfig.cloud] || this.cloudProfiles.AzureCloud;
+        this.baseUrl = this.cloudProfile.armUrl;
+        this.loginBaseUrl = this.cloudProfile.loginUrl;
+        this.graphUrl = this.cloudProfile.graphUrl;
+        this.graphUserScopes = `${this.cloudProfile.graphUrl}/User.ReadBasic.All openid profile`;
+        this.cloudInfo.textContent = this.cloudProfile.label;
+        this.cloudInfo.title = `Cloud: ${this.cloudProfile.label} (${this.cloudProfile.armUrl})`;
+        this.debugLog(`Cloud: ${this.cloudProfile.label}`);
+    }
+
+    /** True when the browser lets the extension reach the selected cloud's hosts (optional host permissions) */
+    async hasCloudHostAccess() {
+        const { armUrl, loginUrl, graphUrl } = this.cloudProfile;
+        return chrome.permissions.contains({ origins: [armUrl, loginUrl, graphUrl].map(url => `${url}/*`) });
+    }
+
+    /**
+     * Authenticate with Azure AD.
+     * With allowInteractive = false only cached or refreshed tokens are used (account switching).
      */
-    async authenticate() {
+    async authenticate(allowInteractive = true) {
         try {
             this.log('Authenticating (PKCE management scope)...');
             this.showLoading(true);
-            const bundle = await this.getStoredTokenBundle();
-            if (bundle) {
-                const mgmt = bundle.resourceTokens?.management;
-                if (mgmt && Date.now() < mgmt.expiresAt - (2 * 60 * 1000)) {
-                    this.accessToken = mgmt.accessToken;
-                    this.resourceTokens.management = mgmt;
-                    this.updateTenantAndUserDisplay(mgmt.accessToken);
-                    this.log('Using cached management access token');
-                    return this.accessToken;
-                }
-                if (bundle.refreshToken) {
-                    const refreshedBundle = await this.refreshAccessToken(bundle.refreshToken, this.managementScopes);
-                    if (refreshedBundle?.resourceTokens?.management) {
-                        const mgmtToken = refreshedBundle.resourceTokens.management;
-                        this.accessToken = mgmtToken.accessToken;
-                        this.resourceTokens.management = mgmtToken;
-                        this.updateTenantAndUserDisplay(mgmtToken.accessToken);
-                        this.log('Management access token refreshed silently');
-                        return this.accessToken;
-                    }
-                }
+            if (!await this.hasCloudHostAccess()) {
+                throw new Error(`Access to the ${this.cloudProfile.label} endpoints has not been granted; open Settings and click Save to grant it`);
+            }
+            // The background worker keeps stored tokens fresh, so this normally returns without a refresh
+            await this.migrateLegacyTokenBundle();
+            const storedToken = await this.requestAccessToken();
+            if (storedToken) {
+                this.accessToken = storedToken.accessToken;
+                this.resourceTokens.management = storedToken;
+                this.updateTenantAndUserDisplay(storedToken.accessToken);
+                this.log('Using stored management access token');
+                return this.accessToken;
+            }
+
+            if (!allowInteractive) {
+                throw new Error('Session expired for this account; click refresh to sign in again');
             }
 
             // Interactive PKCE flow
             const pkce = await this.generatePkcePair();
-            const authCode = await this.performPkceAuthFlow(pkce.codeChallenge, this.managementScopes);
-            const tokens = await this.exchangeAuthCodeForTokens(authCode, pkce.codeVerifier, this.managementScopes);
+            const authCode = await this.performPkceAuthFlow(pkce.codeChallenge, this.authConfig.managementScopes);
+            const tokens = await this.exchangeAuthCodeForTokens(authCode, pkce.codeVerifier, this.authConfig.managementScopes);
             if (!tokens?.access_token) throw new Error('Token response missing access_token');
             const mgmtToken = {
                 accessToken: tokens.access_token,
                 expiresAt: Date.now() + ((tokens.expires_in || 3600) * 1000)
             };
+            // Sign-in through 'common' or 'organizations' lands in the home tenant; file the bundle under the account and tenant that issued it
+            const payload = this.decodeJwtToken(tokens.access_token);
+            await this.registerAccount(payload);
+            const tenantId = payload?.tid || this.activeTenantId;
             await this.storeTokenBundle({
                 refreshToken: tokens.refresh_token,
                 resourceTokens: { management: mgmtToken }
-            });
+            }, tenantId);
+            await this.setActiveTenant(tenantId);
             this.accessToken = mgmtToken.accessToken;
             this.resourceTokens.management = mgmtToken;
             this.updateTenantAndUserDisplay(mgmtToken.accessToken);
@@ -273,13 +703,13 @@ class FabricCapacityManager {
      */
     async performPkceAuthFlow(codeChallenge, scopeString) {
         return new Promise((resolve, reject) => {
-            const tenantId = 'common'; // Multi-tenant; replace with specific tenant if desired
-            const clientId = 'b2f9922d-47b3-45de-be16-72911e143fa4';
+            const tenantId = this.activeTenantId || this.authConfig.tenant;
+            const clientId = this.authConfig.clientId;
             const redirectUri = chrome.identity.getRedirectURL();
             const scope = encodeURIComponent(scopeString);
             const state = this.generateState();
 
-            const authUrl = `https://login.microsoftonline.com/${tenantId}/oauth2/v2.0/authorize` +
+            const authUrl = `${this.loginBaseUrl}/${tenantId}/oauth2/v2.0/authorize` +
                 `?client_id=${clientId}` +
                 `&response_type=code` +
                 `&redirect_uri=${encodeURIComponent(redirectUri)}` +
@@ -328,8 +758,8 @@ class FabricCapacityManager {
      * Exchange authorization code for tokens (access + refresh)
      */
     async exchangeAuthCodeForTokens(code, codeVerifier, scopeString) {
-        const tenantId = 'common';
-        const clientId = 'b2f9922d-47b3-45de-be16-72911e143fa4';
+        const tenantId = this.activeTenantId || this.authConfig.tenant;
+        const clientId = this.authConfig.clientId;
         const redirectUri = chrome.identity.getRedirectURL();
         const body = new URLSearchParams({
             client_id: clientId,
@@ -339,7 +769,7 @@ class FabricCapacityManager {
             redirect_uri: redirectUri,
             scope: scopeString
         });
-        const tokenUrl = `https://login.microsoftonline.com/${tenantId}/oauth2/v2.0/token`;
+        const tokenUrl = `${this.loginBaseUrl}/${tenantId}/oauth2/v2.0/token`;
         const resp = await this.timedFetch(tokenUrl, {
             method: 'POST',
             headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
@@ -355,62 +785,24 @@ class FabricCapacityManager {
     }
 
     /**
-     * Refresh access token using stored refresh token
+     * Ask the background worker, which owns token refresh, for an access token of the active account.
+     * request: { resource: 'management' | 'graph', scopes, requiredScope, tenantId, seedTenantId, forceRefresh }
+     * (see getAccessToken in background.js). Resolves to { accessToken, expiresAt, payload } or null when
+     * the account has to sign in again.
      */
-    async refreshAccessToken(refreshToken, scopeString) {
+    async requestAccessToken(request = {}) {
         try {
-            // Debounce concurrent refresh attempts
-            if (this._refreshingPromise) {
-                return await this._refreshingPromise;
-            }
-            const tenantId = 'common';
-            const clientId = 'b2f9922d-47b3-45de-be16-72911e143fa4';
-            const body = new URLSearchParams({
-                client_id: clientId,
-                grant_type: 'refresh_token',
-                refresh_token: refreshToken,
-                scope: scopeString
-            });
-            const tokenUrl = `https://login.microsoftonline.com/${tenantId}/oauth2/v2.0/token`;
-            this._refreshingPromise = this.timedFetch(tokenUrl, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-                body: body.toString()
+            const response = await chrome.runtime.sendMessage({
+                type: 'GET_ACCESS_TOKEN',
+                request: { accountId: this.activeAccountId, tenantId: this.activeTenantId, ...request }
             });
-            const resp = await this._refreshingPromise;
-            const json = await resp.json();
-            if (!resp.ok) {
-                this.debugLog('Refresh failed: ' + JSON.stringify(json));
-                if (json.error === 'invalid_grant') {
-                    // Refresh token revoked / expired
-                    await this.clearTokenBundle();
-                    this._refreshingPromise = null;
-                    return null;
-                }
-                this._refreshingPromise = null;
+            if (!response?.ok) {
+                this.debugLog(`No ${request.resource || 'management'} token from the background worker${response?.error ? `: ${response.error}` : ''}`);
                 return null;
             }
-            // Determine which resource this refresh was for
-            const isManagement = scopeString.includes('management.core.windows.net');
-            const isGraph = scopeString.includes('graph.microsoft.com');
-            const existing = await this.getStoredTokenBundle() || { resourceTokens: {} };
-            existing.refreshToken = json.refresh_token || existing.refreshToken || refreshToken;
-            const tokenObj = {
-                accessToken: json.access_token,
-                expiresAt: Date.now() + ((json.expires_in || 3600) * 1000),
-                payload: this.decodeJwtToken(json.access_token)
-            };
-            if (isManagement) {
-                existing.resourceTokens.management = tokenObj;
-            } else if (isGraph) {
-                existing.resourceTokens.graph = tokenObj;
-            }
-            await this.storeTokenBundle(existing);
-            this._refreshingPromise = null;
-            return existing;
+            return { ...response.token, payload: this.decodeJwtToken(response.token.accessToken) };
         } catch (e) {
-            this.debugLog('Refresh threw: ' + e.message);
-            this._refreshingPromise = null;
+            this.debugLog('Token request to the background worker failed: ' + e.message);
             return null;
         }
     }
@@ -419,100 +811,323 @@ class FabricCapacityManager {
      * Ensure Graph API access token available; uses refresh token to get new one if needed.
      */
     async ensureGraphAccessToken() {
-        const bundle = await this.getStoredTokenBundle();
-        if (!bundle?.refreshToken) return null;
-        const graphTok = bundle.resourceTokens?.graph;
-        if (graphTok && Date.now() < graphTok.expiresAt - (2 * 60 * 1000)) {
-            this.resourceTokens.graph = graphTok;
-            return graphTok.accessToken;
+        const token = await this.requestAccessToken({ resource: 'graph', scopes: this.authConfig.graphScopes });
+        if (token) {
+            this.resourceTokens.graph = token;
+        }
+        return token?.accessToken || null;
+    }
+
+    /**
+     * Graph token that can read users (and groups when consented) for the admin editor.
+     * Falls back to user-only scopes when GroupMember.Read.All has not been consented.
+     */
+    async ensureGraphDirectoryToken() {
+        for (const scopes of [this.authConfig.graphDirectoryScopes, this.graphUserScopes]) {
+            const token = await this.requestAccessToken({ resource: 'graph', scopes, requiredScope: 'User.ReadBasic.All' });
+            if (token) {
+                this.resourceTokens.graph = token;
+                return token.accessToken;
+            }
         }
-        const refreshed = await this.refreshAccessToken(bundle.refreshToken, this.graphScopes);
-        return refreshed?.resourceTokens?.graph?.accessToken || null;
+        return null;
+    }
+
+    /** True when the directory token may search groups */
+    graphTokenCanReadGroups() {
+        const scopes = (this.resourceTokens.graph?.payload?.scp || '').split(' ');
+        return scopes.includes('GroupMember.Read.All') || scopes.includes('Group.Read.All') || scopes.includes('Directory.Read.All');
     }
 
     /**
-     * Store token bundle (access + refresh + expiry) in chrome.storage.local
+     * Store a token bundle (access + refresh + expiry) from an interactive sign-in.
+     * Bundles are kept per account and tenant under `tokenBundles` ("<accountId>/<tenantId>") so switching
+     * accounts or directories does not force a new login. The background worker writes them, under the same
+     * per-bundle lock as its refreshes, so a refresh running at the same time cannot overwrite the new bundle.
      */
-    async storeTokenBundle(bundle) {
+    async storeTokenBundle(bundle, tenantId = this.activeTenantId) {
         // Cache decoded JWT payloads for each resource token for reuse
         for (const [key, tok] of Object.entries(bundle.resourceTokens || {})) {
             if (tok?.accessToken && !tok.payload) {
                 tok.payload = this.decodeJwtToken(tok.accessToken);
             }
         }
-        return new Promise(async resolve => {
-            try {
-                const anyAccess = bundle.resourceTokens?.management?.accessToken || bundle.resourceTokens?.graph?.accessToken || '';
-                const sha256 = anyAccess ? await this.computeSHA256(anyAccess) : '';
-                const sessionInfo = { cachedAt: Date.now(), tokenHash: sha256 };
-                chrome.storage.local.set({ tokenBundle: bundle, sessionInfo }, () => {
-                    if (chrome.runtime.lastError) {
-                        this.debugLog('Failed storing tokenBundle: ' + chrome.runtime.lastError.message);
-                    } else {
-                        this.debugLog('tokenBundle stored (resources: ' + Object.keys(bundle.resourceTokens || {}).join(', ') + ', hash=SHA256)');
-                    }
-                    resolve();
-                });
-            } catch (e) {
-                this.debugLog('storeTokenBundle failed: ' + e.message);
-                resolve();
-            }
-        });
+        const bundleKey = this.getBundleKey(tenantId || bundle.resourceTokens?.management?.payload?.tid || 'common');
+        try {
+            const response = await chrome.runtime.sendMessage({ type: 'STORE_TOKEN_BUNDLE', bundleKey, tokenBundle: bundle });
+            if (!response?.ok) throw new Error(response?.error || 'no response');
+            this.debugLog(`tokenBundle stored for tenant ${bundleKey} (resources: ` + Object.keys(bundle.resourceTokens || {}).join(', ') + ')');
+        } catch (e) {
+            this.debugLog('storeTokenBundle failed: ' + e.message);
+        }
+    }
+
+    /** Have the background worker delete stored token bundles (it is the only writer of `tokenBundles`) */
+    async removeTokenBundles(bundleKeys) {
+        if (bundleKeys.length === 0) return;
+        try {
+            const response = await chrome.runtime.sendMessage({ type: 'REMOVE_TOKEN_BUNDLES', bundleKeys });
+            if (!response?.ok) throw new Error(response?.error || 'no response');
+        } catch (e) {
+            this.debugLog('Removing token bundles failed: ' + e.message);
+        }
+    }
+
+    /** Storage key of a token bundle for the active account */
+    getBundleKey(tenantId) {
+        return `${this.activeAccountId}/${tenantId}`;
     }
 
     /**
-     * Retrieve stored token bundle
+     * Fold token bundles stored before accounts existed (a single `tokenBundle`, or `tokenBundles`
+     * keyed by tenant only) into the account that was signed in at the time
      */
-    async getStoredTokenBundle() {
-        return new Promise(resolve => {
-            chrome.storage.local.get(['tokenBundle', 'sessionInfo'], async result => {
-                if (chrome.runtime.lastError) {
-                    this.debugLog('Failed retrieving tokenBundle: ' + chrome.runtime.lastError.message);
-                    resolve(null);
-                    return;
-                }
-                const bundle = result.tokenBundle;
-                if (!bundle?.resourceTokens) {
-                    resolve(null);
-                    return;
-                }
-                const anyAccess = bundle.resourceTokens.management?.accessToken || bundle.resourceTokens.graph?.accessToken || '';
-                if (result.sessionInfo?.tokenHash) {
-                    try {
-                        const calc = anyAccess ? await this.computeSHA256(anyAccess) : '';
-                        if (calc !== result.sessionInfo.tokenHash) {
-                            this.debugLog('tokenBundle integrity check failed (SHA-256 mismatch)');
-                            resolve(null);
-                            return;
-                        }
-                    } catch (e) {
-                        this.debugLog('Integrity check error: ' + e.message);
-                        resolve(null);
-                        return;
-                    }
-                }
-                for (const tok of Object.values(bundle.resourceTokens)) {
-                    if (tok && tok.accessToken && !tok.payload) {
-                        tok.payload = this.decodeJwtToken(tok.accessToken);
-                    }
-                }
-                resolve(bundle);
-            });
-        });
+    async migrateLegacyTokenBundle() {
+        const stored = await this.storageGet(['tokenBundle', 'tokenBundles', 'tokenSessionInfo']);
+        const legacyBundles = {};
+        const legacyMgmtToken = stored.tokenBundle?.resourceTokens?.management?.accessToken;
+        if (legacyMgmtToken) {
+            const tid = this.decodeJwtToken(legacyMgmtToken)?.tid;
+            if (tid) legacyBundles[tid] = stored.tokenBundle;
+        }
+        const legacyKeys = Object.keys(stored.tokenBundles || {}).filter(key => !key.includes('/'));
+        for (const key of legacyKeys) {
+            legacyBundles[key] = stored.tokenBundles[key];
+        }
+        if (stored.tokenBundle) {
+            await new Promise(resolve => chrome.storage.local.remove(['tokenBundle', 'sessionInfo'], resolve));
+        }
+        const legacyEntries = Object.entries(legacyBundles);
+        if (legacyEntries.length === 0) return;
+
+        await this.removeTokenBundles(legacyKeys);
+        const sampleToken = legacyEntries[0][1].resourceTokens?.management?.accessToken;
+        const account = sampleToken ? await this.registerAccount(this.decodeJwtToken(sampleToken)) : null;
+        if (!account) return;
+        for (const [tenantId, bundle] of legacyEntries) {
+            await this.storeTokenBundle(bundle, tenantId);
+        }
+        this.debugLog(`Migrated ${legacyEntries.length} stored token bundle(s) to account ${account.username}`);
     }
 
     /**
-     * Clear stored token bundle (full logout scenario)
+     * Clear stored token bundles: one tenant of the active account, or everything (full reset)
      */
-    async clearTokenBundle() {
+    async clearTokenBundle(tenantId = null) {
+        if (tenantId) {
+            await this.removeTokenBundles([this.getBundleKey(tenantId)]);
+            this.debugLog(`tokenBundle cleared for tenant ${tenantId}`);
+            return;
+        }
+        const { tokenBundles = {} } = await this.storageGet('tokenBundles');
+        await this.removeTokenBundles(Object.keys(tokenBundles));
         return new Promise(resolve => {
-            chrome.storage.local.remove(['tokenBundle', 'sessionInfo'], () => {
+            chrome.storage.local.remove(['activeTenantId', 'accounts', 'activeAccountId'], () => {
                 this.debugLog('tokenBundle cleared');
                 resolve();
             });
         });
     }
 
+    /**
+     * Remember the tenant whose tokens are in use (read by the background worker too)
+     */
+    async setActiveTenant(tenantId) {
+        this.activeTenantId = tenantId || null;
+        const account = this.accounts[this.activeAccountId];
+        if (account && this.activeTenantId) {
+            account.activeTenantId = this.activeTenantId;
+        }
+        await this.storageSet({ activeTenantId: this.activeTenantId, accounts: this.accounts });
+    }
+
+    /**
+     * Find or create the account record for a freshly signed-in token and make it active
+     */
+    async registerAccount(payload) {
+        if (!payload?.tid) return null;
+        // Guest tokens carry unique_name as "live.com#user@domain"
+        const username = (payload.upn || payload.preferred_username || payload.unique_name || payload.email || '')
+            .split('#').pop().toLowerCase();
+        const { accounts = {} } = await this.storageGet('accounts');
+        let account = Object.values(accounts).find(a => username && a.username === username);
+        if (!account) {
+            account = {
+                accountId: `${payload.oid}.${payload.tid}`,
+                username,
+                displayName: payload.name || username,
+                homeTenantId: payload.tid,
+                activeTenantId: payload.tid
+            };
+            accounts[account.accountId] = account;
+            this.log(`Added account ${username || account.accountId}`);
+        }
+        this.accounts = accounts;
+        this.activeAccountId = account.accountId;
+        await this.storageSet({ accounts, activeAccountId: account.accountId });
+        this.populateAccountSelect();
+        return account;
+    }
+
+    /**
+     * Keep the Graph profile (from getUserInfo) on the active account record
+     */
+    async updateAccountProfile(userInfo) {
+        const account = this.accounts[this.activeAccountId];
+        if (!account || !userInfo) return;
+        account.displayName = userInfo.displayName || account.displayName;
+        account.userPrincipalName = userInfo.userPrincipalName;
+        account.mail = userInfo.mail;
+        await this.storageSet({ accounts: this.accounts });
+        this.populateAccountSelect();
+    }
+
+    /**
+     * Populate the header account switcher with every signed-in account plus "Add account"
+     */
+    populateAccountSelect() {
+        const accounts = Object.values(this.accounts);
+        this.accountSelect.innerHTML = '';
+        for (const account of accounts) {
+            const option = document.createElement('option');
+            option.value = account.accountId;
+            option.textContent = account.displayName || account.username;
+            option.title = account.username;
+            option.selected = account.accountId === this.activeAccountId;
+            this.accountSelect.appendChild(option);
+        }
+        const addOption = document.createElement('option');
+        addOption.value = '__add__';
+        addOption.textContent = 'Add account…';
+        this.accountSelect.appendChild(addOption);
+        this.accountSelect.style.display = accounts.length > 0 ? 'block' : 'none';
+    }
+
+    /**
+     * Reset per-account state before loading another account or tenant
+     */
+    resetCapacityState() {
+        this.accessToken = null;
+        this.resourceTokens = {};
+        this.capacities = [];
+        this.selectedCapacityIndex = null;
+        this._lastCapacityRefreshTs = 0;
+        this.closeCreatePanel();
+        this.createAdmins.value = '';
+        this.populateCapacityList();
+        this.onCapacitySelectionChange();
+    }
+
+    /**
+     * Switch to another signed-in account using its stored refresh token (no interactive prompt)
+     */
+    async switchAccount(accountId) {
+        if (accountId === '__add__') {
+            await this.addAccount();
+            return;
+        }
+        const account = this.accounts[accountId];
+        if (!account || accountId === this.activeAccountId) return;
+        this.log(`Switching to account ${account.username}...`);
+
+        this.activeAccountId = accountId;
+        this.activeTenantId = account.activeTenantId || account.homeTenantId;
+        this.tenants = [];
+        this.tenantSelect.style.display = 'none';
+        await this.storageSet({ activeAccountId: accountId, activeTenantId: this.activeTenantId });
+        this.resetCapacityState();
+
+        try {
+            await this.authenticate(false);
+            await this.loadCapacities();
+        } catch (error) {
+            this.logError(`Failed to switch to account ${account.username}`, error);
+        }
+    }
+
+    /**
+     * Sign in an additional account interactively; the previous account stays signed in
+     */
+    async addAccount() {
+        const previousAccountId = this.activeAccountId;
+        const previousTenantId = this.activeTenantId;
+        this.activeAccountId = null;
+        this.activeTenantId = null;
+        await this.storageSet({ activeAccountId: null, activeTenantId: null });
+        this.tenants = [];
+        this.tenantSelect.style.display = 'none';
+        this.resetCapacityState();
+        try {
+            await this.authenticate();
+            await this.loadCapacities();
+        } catch (error) {
+            this.logError('Failed to add account', error);
+            this.activeAccountId = previousAccountId;
+            this.activeTenantId = previousTenantId;
+            await this.storageSet({ activeAccountId: previousAccountId, activeTenantId: previousTenantId });
+            this.populateAccountSelect();
+        }
+    }
+
+    /**
+     * List the directories the signed-in user can reach (ARM /tenants) and fill the tenant picker
+     */
+    async loadTenants() {
+        try {
+            const url = `${this.baseUrl}/tenants?api-version=${this.subscriptionApiVersion}`;
+            const tenants = await this.getAllPages(url, 'tenants');
+            this.tenants = tenants.map(tenant => ({
+                tenantId: tenant.tenantId,
+                displayName: tenant.displayName || tenant.defaultDomain || tenant.tenantId,
+                defaultDomain: tenant.defaultDomain
+            }));
+            this.debugLog(`Found ${this.tenants.length} reachable tenants`);
+            this.populateTenantSelect();
+        } catch (error) {
+            this.debugLog(`Failed to list tenants: ${error.message}`);
+        }
+    }
+
+    /**
+     * Populate the header tenant picker; hidden when only one tenant is reachable
+     */
+    populateTenantSelect() {
+        this.tenantSelect.innerHTML = '';
+        for (const tenant of this.tenants) {
+            const option = document.createElement('option');
+            option.value = tenant.tenantId;
+            option.textContent = tenant.displayName;
+            option.title = tenant.defaultDomain || tenant.tenantId;
+            option.selected = tenant.tenantId === this.activeTenantId;
+            this.tenantSelect.appendChild(option);
+        }
+        this.tenantSelect.style.display = this.tenants.length > 1 ? 'block' : 'none';
+    }
+
+    /**
+     * Switch to another tenant. Reuses that tenant's stored bundle, otherwise redeems the current
+     * refresh token in the new tenant, and only falls back to an interactive sign-in when both fail.
+     */
+    async switchTenant(tenantId) {
+        if (!tenantId || tenantId === this.activeTenantId) return;
+        const tenant = this.tenants.find(t => t.tenantId === tenantId);
+        this.log(`Switching to tenant ${tenant?.displayName || tenantId}...`);
+
+        // Without a bundle for the new tenant, the worker redeems the current tenant's refresh token there
+        const seeded = await this.requestAccessToken({ tenantId, seedTenantId: this.activeTenantId });
+        this.debugLog(seeded ? 'Obtained tokens for new tenant silently' : 'Silent sign-in to new tenant failed');
+
+        await this.setActiveTenant(tenantId);
+        this.resetCapacityState();
+
+        try {
+            await this.authenticate();
+            await this.loadCapacities();
+        } catch (error) {
+            this.logError(`Failed to switch to tenant ${tenant?.displayName || tenantId}`, error);
+        }
+    }
+
     /**
      * Perform OAuth2 authentication flow with fallback for no admin consent
      */
@@ -537,15 +1152,15 @@ class FabricCapacityManager {
     async attemptOAuth2WithScope(scopeString) {
         return new Promise((resolve, reject) => {
             // Azure AD OAuth2 endpoints
-            const tenantId = 'common'; // Use 'common' for multi-tenant apps
-            const clientId = 'b2f9922d-47b3-45de-be16-72911e143fa4';
+            const tenantId = this.authConfig.tenant;
+            const clientId = this.authConfig.clientId;
             const redirectUri = chrome.identity.getRedirectURL();
             const scope = encodeURIComponent(scopeString);
             const responseType = 'token';
             const state = this.generateState();
 
             // Construct authorization URL
-            const authUrl = `https://login.microsoftonline.com/${tenantId}/oauth2/v2.0/authorize` +
+            const authUrl = `${this.loginBaseUrl}/${tenantId}/oauth2/v2.0/authorize` +
                 `?client_id=${clientId}` +
                 `&response_type=${responseType}` +
                 `&redirect_uri=${encodeURIComponent(redirectUri)}` +
@@ -637,26 +1252,6 @@ class FabricCapacityManager {
         return Array.from(array, dec => ('0' + dec.toString(16)).substr(-2)).join('');
     }
 
-    /**
-     * Generate a hash of the token for validation purposes (without storing the actual token)
-     */
-    generateTokenHash(token) {
-        // Simple hash function for token validation
-        let hash = 0;
-        if (token.length === 0) return hash.toString();
-        for (let i = 0; i < Math.min(token.length, 100); i++) { // Only hash first 100 chars for performance
-            const char = token.charCodeAt(i);
-            hash = ((hash << 5) - hash) + char;
-            hash = hash & hash; // Convert to 32-bit integer
-        }
-        return Math.abs(hash).toString();
-    }
-    /** Compute SHA-256 digest (hex) */
-    async computeSHA256(str) {
-        const data = new TextEncoder().encode(str);
-        const digest = await crypto.subtle.digest('SHA-256', data);
-        return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
-    }
     /** Timed fetch wrapper with AbortController */
     async timedFetch(url, options = {}, timeoutMs = 15000) {
         const controller = new AbortController();
@@ -667,110 +1262,17 @@ class FabricCapacityManager {
             clearTimeout(id);
         }
     }
-    /** Ensure management token refreshed inside safety window */
+    /** Management token outside the safety window; asks the background worker once it gets close to expiry */
     async ensureFreshManagementToken() {
-        const bundle = await this.getStoredTokenBundle();
-        const mgmt = bundle?.resourceTokens?.management;
-        if (!bundle || !mgmt) return null;
-        if (Date.now() > mgmt.expiresAt - this.refreshSafetyWindowMs) {
-            this.debugLog('Management token near expiry; proactive refresh');
-            if (bundle.refreshToken) {
-                const refreshed = await this.refreshAccessToken(bundle.refreshToken, this.managementScopes);
-                return refreshed?.resourceTokens?.management?.accessToken || mgmt.accessToken;
-            }
+        const mgmt = this.resourceTokens.management;
+        if (mgmt?.accessToken && Date.now() < mgmt.expiresAt - this.refreshSafetyWindowMs) {
+            return mgmt.accessToken;
         }
-        return mgmt.accessToken;
-    }
-
-    /**
-     * Get cached authentication token
-     */
-    async getCachedToken() {
-        return new Promise((resolve) => {
-            chrome.storage.local.get(['accessToken', 'tokenExpiry', 'sessionInfo'], (result) => {
-                if (chrome.runtime.lastError) {
-                    this.debugLog('Failed to get cached token: ' + chrome.runtime.lastError.message);
-                    resolve(null);
-                    return;
-                }
-
-                const { accessToken, tokenExpiry, sessionInfo } = result;
-                
-                if (!accessToken || !tokenExpiry) {
-                    this.debugLog('No cached token found');
-                    resolve(null);
-                    return;
-                }
-
-                // Validate session integrity if session info exists
-                if (sessionInfo && accessToken) {
-                    const currentTokenHash = this.generateTokenHash(accessToken);
-                    if (sessionInfo.tokenHash !== currentTokenHash) {
-                        this.debugLog('Cached token integrity check failed');
-                        resolve(null);
-                        return;
-                    }
-                }
-
-                // Check if token is expired (with 2-minute buffer)
-                const now = Date.now();
-                const expiryTime = parseInt(tokenExpiry);
-                const bufferTime = 2 * 60 * 1000; // 2 minutes in milliseconds
-                const timeUntilExpiry = expiryTime - now;
-                const timeUntilExpiryMinutes = Math.floor(timeUntilExpiry / (60 * 1000));
-
-                if (now >= (expiryTime - bufferTime)) {
-                    this.debugLog(`Cached token is expired or will expire soon (${timeUntilExpiryMinutes} minutes remaining)`);
-                    resolve(null);
-                    return;
-                }
-
-                if (sessionInfo) {
-                    const sessionAge = Math.floor((now - sessionInfo.cachedAt) / (60 * 1000));
-                    this.debugLog(`Found valid cached token (expires in ${timeUntilExpiryMinutes} minutes, session age: ${sessionAge} minutes)`);
-                } else {
-                    this.debugLog(`Found valid cached token (expires in ${timeUntilExpiryMinutes} minutes)`);
-                }
-                
-                resolve(accessToken);
-            });
-        });
-    }
-
-    /**
-     * Cache authentication token with expiry
-     */
-    async cacheToken(token, expiresInSeconds) {
-        // Use the actual expiry time from Azure AD response
-        // Default to 1 hour if not provided
-        const expirySeconds = expiresInSeconds || 3600;
-        const expiryTime = Date.now() + (expirySeconds * 1000);
-        
-        // Extract additional session info for better persistence
-        const tokenData = this.decodeJwtToken(token);
-        const sessionInfo = {
-            cachedAt: Date.now(),
-            tenantId: tokenData?.tid,
-            userPrincipalName: tokenData?.upn || tokenData?.unique_name,
-            tokenHash: this.generateTokenHash(token) // For validation without storing full token
-        };
-        
-        this.debugLog(`Caching token with expiry in ${expirySeconds} seconds`);
-        
-        return new Promise((resolve) => {
-            chrome.storage.local.set({
-                accessToken: token,
-                tokenExpiry: expiryTime.toString(),
-                sessionInfo: sessionInfo
-            }, () => {
-                if (chrome.runtime.lastError) {
-                    this.debugLog('Failed to cache token: ' + chrome.runtime.lastError.message);
-                } else {
-                    this.debugLog('Token cached successfully with session info');
-                }
-                resolve();
-            });
-        });
+        this.debugLog('Management token near expiry; requesting a fresh one');
+        const token = await this.requestAccessToken();
+        if (!token) return mgmt?.accessToken || null;
+        this.resourceTokens.management = token;
+        return token.accessToken;
     }
 
     /**
@@ -811,30 +1313,49 @@ class FabricCapacityManager {
     }
 
     /**
-     * Handle logout button click - clear authentication and reset UI
+     * Handle logout button click - sign out the active account; other accounts stay signed in
      */
     async handleLogout() {
         try {
-            this.log('Logging out...');
+            const account = this.accounts[this.activeAccountId];
+            this.log(`Logging out${account ? ` ${account.username}` : ''}...`);
+
+            const remainingAccounts = Object.values(this.accounts).filter(a => a.accountId !== this.activeAccountId);
+            if (account && remainingAccounts.length > 0) {
+                await this.removeAccount(account.accountId);
+                this.log(`Logged out ${account.username}`);
+                await this.switchAccount(remainingAccounts[0].accountId);
+                return;
+            }
             
-            // Clear all authentication data (both new token bundle and legacy cache)
+            // Last account: clear all authentication data (both new token bundles and legacy cache)
             await this.clearTokenBundle();
             await this.clearCachedAuth();
             this.accessToken = null;
             this.resourceTokens = {};
+            this.accounts = {};
+            this.activeAccountId = null;
+            this.activeTenantId = null;
+            this.tenants = [];
+            this.tenantSelect.style.display = 'none';
+            this.accountSelect.style.display = 'none';
             
             // Clear capacities and reset UI
             this.capacities = [];
+            this.capacitiesFromResourceGraph = false;
             this.initialLoadComplete = false;
             this.selectedCapacityIndex = null;
             
             // Reset UI elements
             this.populateCapacityList();
+            this.publishCapacitySnapshot();
             this.skuSelect.disabled = true;
             this.skuSelect.innerHTML = '<option value="">Select a capacity first...</option>';
             this.startButton.disabled = true;
             this.stopButton.disabled = true;
+            this.deleteButton.disabled = true;
             this.updateSkuButton.disabled = true;
+            this.detailsPanel.style.display = 'none';
             
             // Remove any auth warning
             const existingWarning = document.getElementById('auth-warning');
@@ -850,159 +1371,34 @@ class FabricCapacityManager {
     }
 
     /**
-     * Handle token expiry with automatic silent refresh attempt
+     * Forget an account and every token bundle stored for it
+     */
+    async removeAccount(accountId) {
+        const { tokenBundles = {} } = await this.storageGet('tokenBundles');
+        await this.removeTokenBundles(Object.keys(tokenBundles).filter(key => key.startsWith(`${accountId}/`)));
+        delete this.accounts[accountId];
+        await this.storageSet({ accounts: this.accounts });
+        this.populateAccountSelect();
+    }
+
+    /**
+     * After a 401, have the background worker redeem the refresh token again.
+     * Returns the new access token, or null when the user has to sign in interactively.
      */
     async handleTokenExpiry() {
-        try {
-            this.debugLog('Attempting silent token refresh...');
-            
-            // Try to perform a silent authentication
-            const tokenInfo = await this.performSilentAuth();
-            if (tokenInfo) {
-                this.accessToken = tokenInfo.accessToken;
-                await this.cacheToken(tokenInfo.accessToken, tokenInfo.expiresIn);
-                this.debugLog('Silent token refresh successful');
-                return tokenInfo.accessToken;
-            }
-        } catch (error) {
-            this.debugLog('Silent token refresh failed: ' + error.message);
+        this.debugLog('Requesting a new management token after 401...');
+        const token = await this.requestAccessToken({ forceRefresh: true });
+        if (token) {
+            this.accessToken = token.accessToken;
+            this.resourceTokens.management = token;
+            this.debugLog('Token refresh after 401 successful');
+            return token.accessToken;
         }
-        
-        // If silent refresh fails, clear the token and require re-authentication
         this.accessToken = null;
-        await this.clearCachedAuth();
+        delete this.resourceTokens.management;
         return null;
     }
 
-    /**
-     * Attempt silent authentication (non-interactive) with fallback scopes
-     */
-    async performSilentAuth() {
-        // Try primary scope first (legacy ARM scope)
-        try {
-            const tokenInfo = await this.attemptSilentAuthWithScope(this.scopes[0]);
-            return tokenInfo;
-        } catch (primaryError) {
-            this.debugLog(`Primary silent auth failed: ${primaryError.message}`);
-            
-            // If primary scope fails, try with basic scopes only
-            try {
-                this.debugLog('Attempting fallback silent authentication with basic scopes...');
-                const fallbackScopes = ['openid', 'profile', 'offline_access'];
-                const tokenInfo = await this.attemptSilentAuthWithScope(fallbackScopes.join(' '));
-                return tokenInfo;
-            } catch (fallbackError) {
-                this.debugLog(`Fallback silent auth failed: ${fallbackError.message}`);
-                return null;
-            }
-        }
-    }
-
-    /**
-     * Attempt silent authentication with specific scope
-     */
-    async attemptSilentAuthWithScope(scopeString) {
-        return new Promise((resolve, reject) => {
-            // Azure AD OAuth2 endpoints for silent auth
-            const tenantId = 'common';
-            const clientId = 'b2f9922d-47b3-45de-be16-72911e143fa4';
-            const redirectUri = chrome.identity.getRedirectURL();
-            const scope = encodeURIComponent(scopeString);
-            const responseType = 'token';
-            const state = this.generateState();
-
-            // Construct authorization URL with prompt=none for silent auth
-            const authUrl = `https://login.microsoftonline.com/${tenantId}/oauth2/v2.0/authorize` +
-                `?client_id=${clientId}` +
-                `&response_type=${responseType}` +
-                `&redirect_uri=${encodeURIComponent(redirectUri)}` +
-                `&scope=${scope}` +
-                `&state=${state}` +
-                `&response_mode=fragment` +
-                `&prompt=none`;
-
-            this.debugLog(`Attempting silent auth with scope: ${scopeString}`);
-
-            chrome.identity.launchWebAuthFlow({
-                url: authUrl,
-                interactive: false  // Non-interactive for silent auth
-            }, (responseUrl) => {
-                if (chrome.runtime.lastError) {
-                    this.debugLog('Silent auth failed: ' + chrome.runtime.lastError.message);
-                    reject(new Error(chrome.runtime.lastError.message));
-                    return;
-                }
-
-                if (!responseUrl) {
-                    this.debugLog('No response URL from silent auth');
-                    reject(new Error('No response URL from silent auth'));
-                    return;
-                }
-
-                try {
-                    const tokenInfo = this.extractTokenFromUrl(responseUrl, state);
-                    resolve(tokenInfo);
-                } catch (error) {
-                    this.debugLog('Failed to extract token from silent auth response: ' + error.message);
-                    reject(error);
-                }
-            });
-        });
-    }
-
-    /**
-     * Start proactive token refresh timer
-     */
-    startTokenRefreshTimer() {
-        // Check token status every 10 minutes
-        const refreshInterval = setInterval(async () => {
-            try {
-                const cachedToken = await this.getCachedToken();
-                if (!cachedToken) {
-                    // No valid token, stop the timer
-                    this.debugLog('No valid token found, stopping proactive refresh timer');
-                    clearInterval(refreshInterval);
-                    return;
-                }
-                
-                // Get current token expiry info
-                const result = await new Promise((resolve) => {
-                    chrome.storage.local.get(['tokenExpiry', 'sessionInfo'], resolve);
-                });
-                
-                if (result.tokenExpiry) {
-                    const expiryTime = parseInt(result.tokenExpiry);
-                    const now = Date.now();
-                    const timeUntilExpiry = expiryTime - now;
-                    const minutesUntilExpiry = Math.floor(timeUntilExpiry / (60 * 1000));
-                    
-                    // If token expires in less than 15 minutes, try to refresh
-                    if (minutesUntilExpiry < 30 && minutesUntilExpiry > 0) {
-                        this.debugLog(`Token expires in ${minutesUntilExpiry} minutes, attempting proactive refresh`);
-                        
-                        const refreshedTokenInfo = await this.performSilentAuth();
-                        if (refreshedTokenInfo) {
-                            this.accessToken = refreshedTokenInfo.accessToken;
-                            await this.cacheToken(refreshedTokenInfo.accessToken, refreshedTokenInfo.expiresIn);
-                            this.debugLog('Proactive token refresh successful');
-                            
-                            // Update tenant display with new token
-                            this.updateTenantAndUserDisplay(refreshedTokenInfo.accessToken);
-                        } else {
-                            this.debugLog('Proactive token refresh failed, user will need to re-authenticate');
-                        }
-                    } else if (minutesUntilExpiry > 0) {
-                        this.debugLog(`Token still valid for ${minutesUntilExpiry} minutes`);
-                    }
-                }
-            } catch (error) {
-                this.debugLog('Proactive token refresh check failed: ' + error.message);
-            }
-        }, 10 * 60 * 1000); // Every 10 minutes
-        
-        this.debugLog('Started proactive token refresh timer (checks every 10 minutes)');
-    }
-
     /**
      * Load all Fabric capacities across subscriptions
      */
@@ -1025,22 +1421,28 @@ class FabricCapacityManager {
                 return;
             }
 
-            const subscriptions = await this.getSubscriptions();
-            this.debugLog(`Found ${subscriptions.length} subscriptions`);
-            const capacityArrays = await Promise.all(subscriptions.map(async sub => {
-                try {
-                    return await this.getCapacitiesForSubscription(sub.subscriptionId);
-                } catch (e) {
-                    this.debugLog(`Failed capacities for ${sub.subscriptionId}: ${e.message}`);
-                    return [];
-                }
-            }));
-            this.capacities = capacityArrays.flat();
+            if (this.tenants.length === 0) {
+                this.loadTenants();
+            }
+
+            const favoriteSubscriptionIds = this.getFavoriteSubscriptionIds();
+            let subscriptionIds = null;
+            if (this.listView.favoritesOnly && favoriteSubscriptionIds.length > 0) {
+                // Favourites only: query just the subscriptions holding favourites
+                subscriptionIds = favoriteSubscriptionIds;
+                this.debugLog(`Favourites only: loading ${subscriptionIds.length} subscriptions`);
+            }
+            this.capacities = await this.discoverCapacities(subscriptionIds);
             this._lastCapacityRefreshTs = Date.now();
+            await this.recordActiveSince();
+            this.assignFavoriteTenants();
 
             this.populateCapacityList();
+            this.publishCapacitySnapshot();
+            this.refreshSparklines();
             this.log(`Loaded ${this.capacities.length} Fabric capacities`);
             this.initialLoadComplete = true;
+            await this.applyFocusRequest();
 
         } catch (error) {
             this.logError('Failed to load capacities', error);
@@ -1058,11 +1460,6 @@ class FabricCapacityManager {
             this.debugLog('No authentication token available, triggering authentication and load');
             await this.authenticate();
             await this.loadCapacities();
-            
-            // Start proactive token refresh mechanism after first authentication
-            if (!this.tokenRefreshTimerId) {
-                this.startTokenRefreshTimer();
-            }
             return;
         }
 
@@ -1083,11 +1480,12 @@ class FabricCapacityManager {
             this.refreshButton.disabled = true;
             this.skuSelect.disabled = true;
             
-            // Get fresh capacity data
-            const refreshedCapacities = [];
-            
-            // Get unique subscription IDs from current capacities
-            const subscriptionIds = [...new Set(this.capacities.map(c => c.subscriptionId))];
+            // Subscriptions to list when Resource Graph is unavailable (only those holding favourites in the favourites view)
+            const favoriteSubscriptionIds = this.getFavoriteSubscriptionIds();
+            const favoritesOnly = this.listView.favoritesOnly && favoriteSubscriptionIds.length > 0;
+            const subscriptionIds = favoritesOnly
+                ? favoriteSubscriptionIds
+                : [...new Set(this.capacities.map(c => c.subscriptionId))];
             
             if (subscriptionIds.length === 0) {
                 // If no capacities loaded yet, fall back to full load
@@ -1096,28 +1494,29 @@ class FabricCapacityManager {
                 return;
             }
 
-            // Refresh capacities from known subscriptions
-            for (const subscriptionId of subscriptionIds) {
-                try {
-                    const capacities = await this.getCapacitiesForSubscription(subscriptionId);
-                    refreshedCapacities.push(...capacities);
-                } catch (error) {
-                    this.debugLog(`Failed to refresh capacities for subscription ${subscriptionId}: ${error.message}`);
-                    // Continue with other subscriptions
-                }
-            }
+            // Get fresh capacity data
+            const refreshedCapacities = await this.discoverCapacities(favoritesOnly ? subscriptionIds : null, subscriptionIds);
 
             this.capacities = refreshedCapacities;
+            await this.recordActiveSince();
+            this.assignFavoriteTenants();
             this.populateCapacityList();
+            this.publishCapacitySnapshot();
+            this.refreshSparklines();
 
             // Restore selection if the capacity still exists
             if (selectedCapacityId) {
-                const newIndex = this.capacities.findIndex(c => c.id === selectedCapacityId);
+                const newIndex = this.capacities.findIndex(c => c.id.toLowerCase() === selectedCapacityId.toLowerCase());
                 if (newIndex !== -1) {
                     this.selectedCapacityIndex = newIndex;
                     await this.onCapacityItemClick(newIndex);
+                } else {
+                    // The capacity was deleted
+                    this.selectedCapacityIndex = null;
+                    await this.onCapacitySelectionChange();
                 }
             }
+            await this.applyFocusRequest();
 
             this.debugLog(`Refreshed ${this.capacities.length} capacities`);
 
@@ -1133,8 +1532,39 @@ class FabricCapacityManager {
      */
     async getSubscriptions() {
         const url = `${this.baseUrl}/subscriptions?api-version=${this.subscriptionApiVersion}`;
-        const response = await this.makeApiCall(url);
-        return response.value || [];
+        return await this.getAllPages(url, 'subscriptions');
+    }
+
+    /**
+     * GET an ARM list and follow nextLink until the last page (capped at maxListPages).
+     * A failing first page throws; a failing later page logs a partial-result warning and
+     * returns the items read so far.
+     */
+    async getAllPages(url, description) {
+        const items = [];
+        let nextLink = url;
+        let pages = 0;
+        while (nextLink) {
+            if (pages >= this.maxListPages) {
+                this.logError(`Partial results: stopped listing ${description} after ${this.maxListPages} pages (${items.length} items)`);
+                break;
+            }
+            let response;
+            try {
+                response = await this.makeApiCall(nextLink);
+            } catch (error) {
+                if (pages === 0) throw error;
+                this.logError(`Partial results: page ${pages + 1} of ${description} failed; continuing with the first ${items.length}`, error);
+                break;
+            }
+            items.push(...(response.value || []));
+            nextLink = response.nextLink || null;
+            pages++;
+        }
+        if (pages > 1) {
+            this.debugLog(`Read ${items.length} ${description} from ${pages} pages`);
+        }
+        return items;
     }
 
     /**
@@ -1144,8 +1574,7 @@ class FabricCapacityManager {
         const url = `${this.baseUrl}/subscriptions/${subscriptionId}/providers/Microsoft.Fabric/capacities?api-version=${this.fabricApiVersion}`;
         
         try {
-            const response = await this.makeApiCall(url);
-            const capacities = response.value || [];
+            const capacities = await this.getAllPages(url, `capacities in subscription ${subscriptionId}`);
             
             // Add subscription context to each capacity
             return capacities.map(capacity => ({
@@ -1163,6 +1592,189 @@ class FabricCapacityManager {
         }
     }
 
+    /**
+     * Find Fabric capacities with a single Resource Graph query, falling back to listing each
+     * subscription through ARM when Resource Graph fails.
+     * subscriptionIds limits the query (null = every subscription the token can see);
+     * fallbackSubscriptionIds limits the fallback (null = list all subscriptions first).
+     */
+    async discoverCapacities(subscriptionIds = null, fallbackSubscriptionIds = subscriptionIds) {
+        if (!this.resourceGraphUnavailable) {
+            try {
+                const capacities = await this.queryCapacitiesFromResourceGraph(subscriptionIds);
+                const result = await this.rereadRecentlyChangedCapacities(capacities, subscriptionIds);
+                this.capacitiesFromResourceGraph = true;
+                return result;
+            } catch (error) {
+                // A rejected query will not succeed later in the session; throttling or outages are retried on the next load
+                if ([400, 403].includes(error.status)) {
+                    this.resourceGraphUnavailable = true;
+                    this.logError('Resource Graph is not available for this account; listing capacities per subscription from now on', error);
+                } else {
+                    this.logError('Resource Graph query failed; listing capacities per subscription this time', error);
+                }
+            }
+        }
+        this.capacitiesFromResourceGraph = false;
+
+        let subscriptions;
+        if (fallbackSubscriptionIds) {
+            subscriptions = fallbackSubscriptionIds.map(subscriptionId => ({ subscriptionId }));
+        } else {
+            subscriptions = await this.getSubscriptions();
+            this.debugLog(`Found ${subscriptions.length} subscriptions`);
+            for (const subscription of subscriptions) {
+                this.subscriptionNames[subscription.subscriptionId] = subscription.displayName;
+            }
+        }
+        const capacityArrays = await Promise.all(subscriptions.map(async sub => {
+            try {
+                return await this.getCapacitiesForSubscription(sub.subscriptionId);
+            } catch (e) {
+                this.debugLog(`Failed capacities for ${sub.subscriptionId}: ${e.message}`);
+                return [];
+            }
+        }));
+        return capacityArrays.flat();
+    }
+
+    /**
+     * Query Resource Graph for every microsoft.fabric/capacities resource, following $skipToken
+     * (capped at maxListPages). Subscription names come back from the same query and fill subscriptionNames.
+     */
+    async queryCapacitiesFromResourceGraph(subscriptionIds = null) {
+        const url = `${this.baseUrl}/providers/Microsoft.ResourceGraph/resources?api-version=${this.resourceGraphApiVersion}`;
+        const query = [
+            "resources",
+            "| where type =~ 'microsoft.fabric/capacities'",
+            "| join kind=leftouter (resourcecontainers | where type =~ 'microsoft.resources/subscriptions' | project subscriptionId, subscriptionName = name) on subscriptionId",
+            "| project id, name, type, location, sku, properties, tags, subscriptionId, subscriptionName",
+            "| order by id asc"
+        ].join('\n');
+
+        const capacities = [];
+        let skipToken = null;
+        let pages = 0;
+        do {
+            if (pages >= this.maxListPages) {
+                this.logError(`Partial results: stopped reading Resource Graph after ${this.maxListPages} pages (${capacities.length} capacities)`);
+                break;
+            }
+            const request = {
+                query,
+                options: { $top: this.resourceGraphPageSize, resultFormat: 'objectArray' }
+            };
+            if (skipToken) {
+                request.options.$skipToken = skipToken;
+            }
+            if (subscriptionIds) {
+                request.subscriptions = subscriptionIds;
+            }
+            const result = await this.makeApiCall(url, 'POST', request, { idempotent: true });
+            for (const row of result.body?.data || []) {
+                if (row.subscriptionName) {
+                    this.subscriptionNames[row.subscriptionId] = row.subscriptionName;
+                }
+                capacities.push({
+                    id: row.id,
+                    name: row.name,
+                    type: row.type,
+                    location: row.location,
+                    sku: row.sku,
+                    properties: row.properties,
+                    tags: row.tags || {},
+                    subscriptionId: row.subscriptionId,
+                    displayName: `${row.name} (${row.properties?.state || 'Unknown'})`
+                });
+            }
+            skipToken = result.body?.$skipToken || null;
+            pages++;
+        } while (skipToken);
+
+        this.debugLog(`Resource Graph returned ${capacities.length} capacities in ${pages} page(s)`);
+        return capacities;
+    }
+
+    /** Have refreshes within resourceGraphLagMs read this capacity from ARM, since Resource Graph may still show it unchanged */
+    markCapacityChanged(capacity) {
+        this.recentlyChangedCapacities.set(capacity.id.toLowerCase(), Date.now());
+    }
+
+    /**
+     * Replace Resource Graph rows for capacities whose operation finished within resourceGraphLagMs
+     * with a direct ARM read, so a just-resumed, resized, created or deleted capacity shows its real state.
+     */
+    async rereadRecentlyChangedCapacities(capacities, subscriptionIds = null) {
+        const now = Date.now();
+        for (const [key, completedAt] of this.recentlyChangedCapacities) {
+            if (now - completedAt > this.resourceGraphLagMs) {
+                this.recentlyChangedCapacities.delete(key);
+            }
+        }
+        if (this.recentlyChangedCapacities.size === 0) {
+            return capacities;
+        }
+
+        const result = [...capacities];
+        for (const key of this.recentlyChangedCapacities.keys()) {
+            const index = result.findIndex(c => c.id.toLowerCase() === key);
+            let fresh = null;
+            try {
+                fresh = await this.makeApiCall(`${this.baseUrl}${key}?api-version=${this.fabricApiVersion}`);
+            } catch (error) {
+                if (!error.message.includes('404')) {
+                    this.debugLog(`Could not re-read ${key}: ${error.message}`);
+                    continue;
+                }
+            }
+            if (!fresh) {
+                // Deleted in ARM but still indexed by Resource Graph
+                if (index !== -1) result.splice(index, 1);
+                continue;
+            }
+            const subscriptionId = fresh.id.split('/')[2];
+            const capacity = {
+                ...fresh,
+                tags: fresh.tags || {},
+                subscriptionId,
+                displayName: `${fresh.name} (${fresh.properties?.state || 'Unknown'})`
+            };
+            if (index !== -1) {
+                result[index] = { ...capacity, id: result[index].id };
+            } else if (!subscriptionIds || subscriptionIds.some(id => id.toLowerCase() === subscriptionId.toLowerCase())) {
+                // Created recently and not indexed yet
+                result.push(capacity);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Hand the freshly loaded capacity states to the background worker (toolbar badge, state-change notifications)
+     */
+    publishCapacitySnapshot() {
+        if (this.capacitiesFromResourceGraph) {
+            // Resource Graph lags ARM: diffing its states would raise false transition notifications and
+            // miscount the badge, so the worker re-reads the states from ARM instead
+            chrome.runtime.sendMessage({ type: 'POLL_CAPACITIES' }).catch(error => {
+                this.debugLog(`Background worker not reachable: ${error.message}`);
+            });
+            return;
+        }
+        const capacities = this.capacities.map(capacity => ({
+            id: capacity.id,
+            name: capacity.name,
+            subscriptionId: capacity.subscriptionId,
+            sku: { name: capacity.sku?.name },
+            properties: { state: capacity.properties?.state }
+        }));
+        // The favourites view loads only some subscriptions; the badge must not count from a partial list
+        const partial = this.listView.favoritesOnly && this.getFavoriteSubscriptionIds().length > 0;
+        chrome.runtime.sendMessage({ type: 'CAPACITY_SNAPSHOT', capacities, partial }).catch(error => {
+            this.debugLog(`Background worker not reachable: ${error.message}`);
+        });
+    }
+
     /**
      * Populate the capacity dropdown
      */
@@ -1177,6 +1789,7 @@ class FabricCapacityManager {
 
             // Clear existing items
             this.capacityList.innerHTML = '';
+            this.populateListFilters();
 
             if (this.capacities.length === 0) {
                 const emptyItem = document.createElement('div');
@@ -1187,171 +1800,1972 @@ class FabricCapacityManager {
                 return;
             }
 
-            // Batch DOM operations using a fragment
-            const frag = document.createDocumentFragment();
-            this.capacities.forEach((capacity, index) => {
-                const item = document.createElement('div');
-                item.className = 'capacity-list-item';
-                item.dataset.index = index.toString();
-                const state = capacity.properties?.state || 'Unknown';
-                const sku = capacity.sku?.name || 'Unknown SKU';
-                const nameElement = document.createElement('div');
-                nameElement.className = 'capacity-name';
-                nameElement.textContent = capacity.name;
-                const skuElement = document.createElement('div');
-                skuElement.className = 'capacity-sku';
-                skuElement.textContent = sku;
-                const statusElement = document.createElement('div');
-                statusElement.className = 'capacity-status';
-                if (state === 'Active') { statusElement.classList.add('running'); statusElement.textContent = 'Running'; }
-                else if (state === 'Paused') { statusElement.classList.add('stopped'); statusElement.textContent = 'Stopped'; }
-                else { statusElement.textContent = state; }
-                item.appendChild(nameElement);
-                item.appendChild(skuElement);
-                item.appendChild(statusElement);
-                item.addEventListener('click', async () => { await this.onCapacityItemClick(index); });
-                frag.appendChild(item);
-            });
-            this.capacityList.appendChild(frag);
+            // Batch DOM operations using a fragment
+            const frag = document.createDocumentFragment();
+            const visible = this.getVisibleCapacities();
+            if (this.listView.groupBy) {
+                const groups = new Map();
+                for (const entry of visible) {
+                    const key = this.getGroupKey(entry.capacity);
+                    if (!groups.has(key)) groups.set(key, []);
+                    groups.get(key).push(entry);
+                }
+                for (const key of [...groups.keys()].sort((a, b) => this.getGroupLabel(a).localeCompare(this.getGroupLabel(b)))) {
+                    const collapsed = this.listView.collapsedGroups.includes(key);
+                    const header = document.createElement('div');
+                    header.className = 'capacity-group-header';
+                    header.textContent = `${collapsed ? '▸' : '▾'} ${this.getGroupLabel(key)} (${groups.get(key).length})`;
+                    header.addEventListener('click', () => {
+                        const collapsedGroups = collapsed
+                            ? this.listView.collapsedGroups.filter(group => group !== key)
+                            : [...this.listView.collapsedGroups, key];
+                        this.updateListView({ collapsedGroups });
+                    });
+                    frag.appendChild(header);
+                    if (!collapsed) {
+                        groups.get(key).forEach(({ capacity, index }) => frag.appendChild(this.createCapacityRow(capacity, index)));
+                    }
+                }
+            } else {
+                visible.forEach(({ capacity, index }) => frag.appendChild(this.createCapacityRow(capacity, index)));
+            }
+            this.capacityList.appendChild(frag);
+            if (visible.length === 0) {
+                const emptyItem = document.createElement('div');
+                emptyItem.className = 'capacity-list-item empty';
+                emptyItem.textContent = 'No capacities match the search and filters';
+                this.capacityList.appendChild(emptyItem);
+            }
+            this.startCostTicker();
+            this.renderBulkBar();
+
+            this.debugLog(`List population complete. Showing ${visible.length} of ${this.capacities.length} capacities`);
+        } catch (error) {
+            this.logError('Failed to populate list', error);
+            console.error('List population failed:', error);
+        }
+    }
+
+    /**
+     * One capacity row. Rows keep the capacity's index in this.capacities so selection survives
+     * filtering, sorting and refreshes.
+     */
+    createCapacityRow(capacity, index) {
+        const item = document.createElement('div');
+        item.className = 'capacity-list-item';
+        item.dataset.index = index.toString();
+        const tags = Object.entries(capacity.tags || {});
+        if (tags.length > 0) {
+            item.title = tags.map(([key, value]) => `${key}: ${value}`).join('\n');
+        }
+        const state = capacity.properties?.state || 'Unknown';
+        const sku = capacity.sku?.name || 'Unknown SKU';
+        const checkElement = document.createElement('input');
+        checkElement.type = 'checkbox';
+        checkElement.className = 'capacity-check';
+        checkElement.title = 'Select for bulk actions (or Ctrl/Shift-click the row)';
+        checkElement.checked = this.bulkSelection.has(capacity.id);
+        checkElement.addEventListener('click', (event) => {
+            event.stopPropagation();
+            this.toggleBulkSelection(index, event.shiftKey);
+        });
+        const favorite = this.isFavorite(capacity);
+        const favoriteElement = document.createElement('span');
+        favoriteElement.className = `capacity-favorite${favorite ? ' active' : ''}`;
+        favoriteElement.textContent = favorite ? '★' : '☆';
+        favoriteElement.title = favorite ? 'Remove from favourites' : 'Add to favourites';
+        favoriteElement.addEventListener('click', (event) => {
+            event.stopPropagation();
+            this.toggleFavorite(capacity);
+        });
+        const nameElement = document.createElement('div');
+        nameElement.className = 'capacity-name';
+        nameElement.textContent = capacity.name;
+        const skuElement = document.createElement('div');
+        skuElement.className = 'capacity-sku';
+        skuElement.textContent = sku;
+        const sparkElement = document.createElement('div');
+        sparkElement.className = 'capacity-spark';
+        sparkElement.dataset.capacityId = capacity.id;
+        this.renderSparkline(sparkElement, capacity);
+        const costElement = document.createElement('div');
+        costElement.className = 'capacity-cost';
+        costElement.dataset.capacityId = capacity.id;
+        costElement.textContent = this.formatRunningCost(capacity);
+        const statusElement = document.createElement('div');
+        statusElement.className = 'capacity-status';
+        const pending = this.pendingOperations.get(capacity.id);
+        if (pending) {
+            statusElement.classList.add('pending');
+            statusElement.dataset.capacityId = capacity.id;
+            statusElement.textContent = this.formatPendingStatus(pending);
+        }
+        else if (state === 'Active') { statusElement.classList.add('running'); statusElement.textContent = 'Running'; }
+        else if (state === 'Paused') { statusElement.classList.add('stopped'); statusElement.textContent = 'Stopped'; }
+        else { statusElement.textContent = state; }
+        item.appendChild(checkElement);
+        item.appendChild(favoriteElement);
+        item.appendChild(nameElement);
+        item.appendChild(skuElement);
+        item.appendChild(sparkElement);
+        item.appendChild(costElement);
+        item.appendChild(statusElement);
+        item.addEventListener('click', async (event) => {
+            if (event.shiftKey || event.ctrlKey || event.metaKey) {
+                this.toggleBulkSelection(index, event.shiftKey);
+                return;
+            }
+            this.bulkAnchorIndex = index;
+            await this.onCapacityItemClick(index);
+        });
+        return item;
+    }
+
+    /**
+     * Add or remove a row from the bulk selection. With shift, the rows between the last clicked row
+     * and this one (in list order as shown) take this row's new state.
+     */
+    toggleBulkSelection(index, extendRange) {
+        const capacity = this.capacities[index];
+        const select = !this.bulkSelection.has(capacity.id);
+        let indices = [index];
+        if (extendRange && this.bulkAnchorIndex !== null) {
+            const shown = [...this.capacityList.querySelectorAll('[data-index]')].map(item => parseInt(item.dataset.index));
+            const from = shown.indexOf(this.bulkAnchorIndex);
+            const to = shown.indexOf(index);
+            if (from !== -1 && to !== -1) {
+                indices = shown.slice(Math.min(from, to), Math.max(from, to) + 1);
+            }
+        }
+        for (const i of indices) {
+            if (select) {
+                this.bulkSelection.add(this.capacities[i].id);
+            } else {
+                this.bulkSelection.delete(this.capacities[i].id);
+            }
+        }
+        this.bulkAnchorIndex = index;
+        this.populateCapacityList();
+        this.restoreSelectionHighlight();
+    }
+
+    /** Capacities in the bulk selection that are still loaded */
+    getBulkSelectedCapacities() {
+        return this.capacities.filter(capacity => this.bulkSelection.has(capacity.id));
+    }
+
+    renderBulkBar() {
+        const count = this.getBulkSelectedCapacities().length;
+        this.bulkBar.classList.toggle('active', count > 0);
+        this.bulkCount.textContent = `${count} selected`;
+    }
+
+    /**
+     * Apply a change to the list settings, persist them (debounced) and redraw the list.
+     * A selected capacity hidden by the new filters is deselected so the actions cannot reach it unseen.
+     */
+    updateListView(changes) {
+        this.listView = { ...this.listView, ...changes };
+        clearTimeout(this.listViewSaveTimerId);
+        this.listViewSaveTimerId = setTimeout(() => {
+            chrome.storage.local.set({ listView: this.listView });
+        }, this.listViewSaveDelayMs);
+        this.populateCapacityList();
+        const selectedIndex = this.selectedCapacityIndex;
+        if (selectedIndex !== null && selectedIndex !== undefined &&
+            !this.getVisibleCapacities().some(({ index }) => index === Number(selectedIndex))) {
+            this.debugLog(`${this.capacities[selectedIndex]?.name} is hidden by the filters; selection cleared`);
+            this.selectedCapacityIndex = null;
+            this.onCapacitySelectionChange();
+            return;
+        }
+        this.restoreSelectionHighlight();
+    }
+
+    /**
+     * Capacities passing the search and filters, sorted, as { capacity, index } pairs
+     */
+    getVisibleCapacities() {
+        const search = this.listView.search.trim().toLowerCase();
+        const entries = this.capacities
+            .map((capacity, index) => ({ capacity, index }))
+            .filter(({ capacity }) => {
+                if (this.listView.favoritesOnly && !this.isFavorite(capacity)) return false;
+                if (this.listView.state && (capacity.properties?.state || 'Unknown') !== this.listView.state) return false;
+                if (this.listView.sku && capacity.sku?.name !== this.listView.sku) return false;
+                if (!this.matchesTagFilter(capacity)) return false;
+                if (!search) return true;
+                const haystack = [
+                    capacity.name,
+                    this.getResourceGroupName(capacity),
+                    capacity.location,
+                    this.normalizeLocation(capacity.location),
+                    ...Object.entries(capacity.tags || {}).map(([key, value]) => `${key}:${value}`)
+                ].join(' ').toLowerCase();
+                return search.split(/\s+/).every(term => haystack.includes(term));
+            });
+
+        const byName = (a, b) => a.capacity.name.localeCompare(b.capacity.name);
+        const comparators = {
+            name: byName,
+            sku: (a, b) => ((this.getSkuCapacityUnits(a.capacity.sku?.name) ?? Infinity) -
+                (this.getSkuCapacityUnits(b.capacity.sku?.name) ?? Infinity)) || byName(a, b),
+            state: (a, b) => (a.capacity.properties?.state || '').localeCompare(b.capacity.properties?.state || '') || byName(a, b)
+        };
+        const compare = comparators[this.listView.sortBy] || byName;
+        // Favourites are pinned to the top (of each group when grouping)
+        return entries.sort((a, b) => (this.isFavorite(b.capacity) - this.isFavorite(a.capacity)) || compare(a, b));
+    }
+
+    isFavorite(capacity) {
+        const id = capacity.id.toLowerCase();
+        return this.favoriteCapacityIds.some(favoriteId => favoriteId.toLowerCase() === id);
+    }
+
+    /**
+     * Star or unstar a capacity; favourites live in chrome.storage.sync
+     */
+    toggleFavorite(capacity) {
+        const id = capacity.id.toLowerCase();
+        if (this.isFavorite(capacity)) {
+            this.favoriteCapacityIds = this.favoriteCapacityIds.filter(favoriteId => favoriteId.toLowerCase() !== id);
+            delete this.favoriteCapacityTenants[id];
+        } else {
+            this.favoriteCapacityIds = [...this.favoriteCapacityIds, capacity.id];
+            this.favoriteCapacityTenants[id] = this.activeTenantId;
+        }
+        this.saveFavorites();
+        this.populateCapacityList();
+        this.restoreSelectionHighlight();
+    }
+
+    saveFavorites() {
+        chrome.storage.sync.set({
+            favoriteCapacityIds: this.favoriteCapacityIds,
+            favoriteCapacityTenants: this.favoriteCapacityTenants
+        }, () => {
+            if (chrome.runtime.lastError) {
+                this.logError('Failed to save favourites', chrome.runtime.lastError);
+            }
+        });
+    }
+
+    /**
+     * Record the active tenant for favourites starred before tenants were stored, once they show up
+     * in a list loaded for that tenant
+     */
+    assignFavoriteTenants() {
+        let changed = false;
+        for (const capacity of this.capacities) {
+            const id = capacity.id.toLowerCase();
+            if (this.isFavorite(capacity) && !this.favoriteCapacityTenants[id] && this.activeTenantId) {
+                this.favoriteCapacityTenants[id] = this.activeTenantId;
+                changed = true;
+            }
+        }
+        if (changed) this.saveFavorites();
+    }
+
+    /**
+     * Subscriptions holding favourite capacities of the active tenant, parsed from their ARM ids.
+     * Favourites of other tenants need another token, so they are only shown after switching there.
+     */
+    getFavoriteSubscriptionIds() {
+        const ids = this.favoriteCapacityIds
+            .filter(id => this.favoriteCapacityTenants[id.toLowerCase()] === this.activeTenantId)
+            .map(id => /^\/subscriptions\/([^/]+)/i.exec(id)?.[1]?.toLowerCase())
+            .filter(Boolean);
+        return [...new Set(ids)];
+    }
+
+    /**
+     * Switch the favourites-only view. Leaving it reloads every subscription, because the
+     * favourites view only loaded the subscriptions holding favourites.
+     */
+    async setFavoritesOnly(favoritesOnly) {
+        if (favoritesOnly && this.getFavoriteSubscriptionIds().length === 0) {
+            this.log('Star a capacity in this tenant first to use the favourites view');
+            return;
+        }
+        this.updateListView({ favoritesOnly });
+        this.renderFavoritesToggle();
+        if (!favoritesOnly && this.initialLoadComplete) {
+            this._lastCapacityRefreshTs = 0;
+            await this.loadCapacities();
+        }
+    }
+
+    renderFavoritesToggle() {
+        this.favoritesOnlyToggle.textContent = this.listView.favoritesOnly ? '★' : '☆';
+        this.favoritesOnlyToggle.classList.toggle('active', this.listView.favoritesOnly);
+    }
+
+    /** Resource group segment of a capacity's ARM id */
+    getResourceGroupName(capacity) {
+        const match = /\/resourceGroups\/([^/]+)/i.exec(capacity.id || '');
+        return match ? match[1] : '';
+    }
+
+    getGroupKey(capacity) {
+        return this.listView.groupBy === 'location'
+            ? this.normalizeLocation(capacity.location)
+            : capacity.subscriptionId;
+    }
+
+    getGroupLabel(key) {
+        if (this.listView.groupBy === 'location') {
+            return this.capacities.find(capacity => this.normalizeLocation(capacity.location) === key)?.location || key;
+        }
+        return this.subscriptionNames[key] || key;
+    }
+
+    /**
+     * Fill the state, SKU and tag filters from the loaded capacities. The saved choice stays
+     * selectable even when no loaded capacity matches it (e.g. before the first load).
+     */
+    populateListFilters() {
+        const states = new Set();
+        const skus = new Set();
+        const tags = new Set();
+        for (const capacity of this.capacities) {
+            states.add(capacity.properties?.state || 'Unknown');
+            if (capacity.sku?.name) skus.add(capacity.sku.name);
+            for (const [key, value] of Object.entries(capacity.tags || {})) {
+                tags.add(key);
+                tags.add(`${key}=${value}`);
+            }
+        }
+        this.fillFilterSelect(this.stateFilter, 'All states', [...states].sort(), this.listView.state);
+        this.fillFilterSelect(this.skuFilter, 'All SKUs', this.sortSkuNames([...skus]), this.listView.sku);
+        this.fillFilterSelect(this.tagFilter, 'All tags', [...tags].sort(), this.listView.tag,
+            option => option.includes('=') ? option.replace('=', ': ') : `${option} (any)`);
+        this.tagFilter.style.display = tags.size > 0 || this.listView.tag ? '' : 'none';
+    }
+
+    fillFilterSelect(select, allLabel, values, selected, formatLabel = value => value) {
+        if (selected && !values.includes(selected)) {
+            values.push(selected);
+        }
+        select.innerHTML = '';
+        const allOption = document.createElement('option');
+        allOption.value = '';
+        allOption.textContent = allLabel;
+        select.appendChild(allOption);
+        for (const value of values) {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = formatLabel(value);
+            select.appendChild(option);
+        }
+        select.value = selected;
+    }
+
+    matchesTagFilter(capacity) {
+        const filter = this.listView.tag;
+        if (!filter) return true;
+        const separator = filter.indexOf('=');
+        const tags = capacity.tags || {};
+        if (separator === -1) return Object.prototype.hasOwnProperty.call(tags, filter);
+        const key = filter.slice(0, separator);
+        return Object.prototype.hasOwnProperty.call(tags, key) && tags[key] === filter.slice(separator + 1);
+    }
+
+    /**
+     * Handle capacity item click
+     */
+    async onCapacityItemClick(index) {
+        // Update selected state in UI
+        const allItems = this.capacityList.querySelectorAll('.capacity-list-item');
+        allItems.forEach(item => item.classList.remove('selected'));
+        
+        const clickedItem = this.capacityList.querySelector(`[data-index="${index}"]`);
+        if (clickedItem) {
+            clickedItem.classList.add('selected');
+        }
+        
+        this.selectedCapacityIndex = index;
+        await this.onCapacitySelectionChange();
+    }
+
+    /**
+     * Handle capacity selection change
+     */
+    async onCapacitySelectionChange() {
+        const selectedIndex = this.selectedCapacityIndex;
+        
+        if (selectedIndex === null || selectedIndex === undefined) {
+            this.startButton.disabled = true;
+            this.stopButton.disabled = true;
+            this.deleteButton.disabled = true;
+            this.skuSelect.disabled = true;
+            this.updateSkuButton.disabled = true;
+            this.skuSelect.innerHTML = '<option value="">Select a capacity first...</option>';
+            this.detailsPanel.style.display = 'none';
+            return;
+        }
+
+        const capacity = this.capacities[parseInt(selectedIndex)];
+        const state = capacity.properties?.state || 'Unknown';
+
+        // Enable/disable buttons based on current state; lock them while an operation is in flight
+        const hasPendingOperation = this.pendingOperations.has(capacity.id);
+        this.startButton.disabled = hasPendingOperation || (state === 'Active');
+        this.stopButton.disabled = hasPendingOperation || (state === 'Paused');
+        this.deleteButton.disabled = hasPendingOperation;
+
+        // Enable SKU controls and load available SKUs
+        this.skuSelect.disabled = false;
+        await this.loadAvailableSkus(capacity);
+        await this.populateSkuDropdown(capacity);
+
+        // Details panel (schedule, history) for the selected capacity
+        this.detailsPanel.style.display = 'flex';
+        await this.loadScheduleForm(capacity);
+        await this.loadAutoPauseForm(capacity);
+        await this.loadNotificationPrefs(capacity);
+        this.loadAdmins(capacity);
+        this.loadTags(capacity);
+        if (this.activeDetailsTab === 'history' && this.activityState?.capacityId !== capacity.id) {
+            this.loadActivityHistory(capacity);
+        }
+        if (this.activeDetailsTab === 'metrics') {
+            this.renderMetricsChart(capacity);
+        }
+        await this.renderOperationHistory();
+
+        this.log(`Selected capacity: ${capacity.name} (${state}) - SKU: ${capacity.sku?.name || 'Unknown'}`);
+        this.debugLog(`Capacity details: ${JSON.stringify(capacity, null, 2)}`);
+    }
+
+    /**
+     * Start the selected capacity
+     */
+    async startCapacity() {
+        await this.performCapacityOperation('resume', 'Starting');
+    }
+
+    /**
+     * Stop the selected capacity
+     */
+    async stopCapacity() {
+        await this.performCapacityOperation('suspend', 'Stopping');
+    }
+
+    /**
+     * Perform capacity operation (start/stop)
+     */
+    async performCapacityOperation(operation, operationName) {
+        const selectedIndex = this.selectedCapacityIndex;
+        if (selectedIndex === null || selectedIndex === undefined) return;
+
+        const capacity = this.capacities[parseInt(selectedIndex)];
+        
+        try {
+            this.log(`${operationName} capacity ${capacity.name}...`);
+            await this.setButtonsEnabled(false);
+
+            const url = `${this.baseUrl}${capacity.id}/${operation}?api-version=${this.fabricApiVersion}`;
+            
+            const result = await this.makeApiCall(url, 'POST');
+            
+            this.logSuccess(`${operationName} operation initiated for ${capacity.name}`);
+            
+            // Follow the ARM operation in the background; the row shows progress until it settles
+            this.trackCapacityOperation(capacity, result, operationName);
+
+        } catch (error) {
+            this.logError(`Failed to ${operation} capacity ${capacity.name}`, error);
+        } finally {
+            await this.setButtonsEnabled(true);
+        }
+    }
+
+    /**
+     * Delete the selected capacity after the user types its name.
+     * Management locks that would block the delete are reported before anything is sent.
+     */
+    async deleteCapacity() {
+        const capacity = this.getSelectedCapacity();
+        if (!capacity) return;
+
+        try {
+            await this.setButtonsEnabled(false);
+            const locks = await this.getBlockingLocks(capacity);
+            if (locks === null) {
+                this.log('Could not read management locks (Microsoft.Authorization/locks/read); the delete may be rejected');
+            } else if (locks.length > 0) {
+                const descriptions = locks.map(lock => `${lock.name} (${lock.properties?.level}, ${this.describeLockScope(lock, capacity)})`);
+                this.logError(`Cannot delete ${capacity.name}: blocked by ${descriptions.join(', ')}. Remove the lock in the Azure portal first.`);
+                return;
+            }
+
+            const typedName = prompt(
+                `Delete capacity ${capacity.name}? This cannot be undone; workspaces assigned to it lose their capacity.\n\n` +
+                `Type the capacity name to confirm:`
+            );
+            if (typedName === null) return;
+            if (typedName.trim() !== capacity.name) {
+                this.logError('The typed name does not match; nothing was deleted');
+                return;
+            }
+
+            this.log(`Deleting capacity ${capacity.name}...`);
+            const url = `${this.baseUrl}${capacity.id}?api-version=${this.fabricApiVersion}`;
+            const result = await this.makeApiCall(url, 'DELETE');
+            this.logSuccess(`Delete request accepted for ${capacity.name}`);
+
+            const operation = result.operation || { resourceUrl: url, untilDeleted: true, retryAfterMs: null };
+            this.trackCapacityOperation(capacity, { ...result, operation }, 'Deleting').then(() => this.onCapacityDeleted(capacity));
+        } catch (error) {
+            this.logError(`Failed to delete capacity ${capacity.name}`, error);
+        } finally {
+            await this.setButtonsEnabled(true);
+        }
+    }
+
+    /**
+     * Locks on the capacity, its resource group or subscription (CanNotDelete and ReadOnly both block a delete).
+     * Returns null when the locks cannot be read.
+     */
+    async getBlockingLocks(capacity) {
+        const url = `${this.baseUrl}${capacity.id}/providers/Microsoft.Authorization/locks?api-version=${this.locksApiVersion}&$filter=atScope()`;
+        try {
+            const locks = await this.getAllPages(url, 'management locks');
+            return locks.filter(lock => ['CanNotDelete', 'ReadOnly'].includes(lock.properties?.level));
+        } catch (error) {
+            this.debugLog(`Lock lookup failed: ${error.message}`);
+            return null;
+        }
+    }
+
+    /** "capacity", "resource group" or "subscription", from the lock id's scope */
+    describeLockScope(lock, capacity) {
+        const scope = (lock.id || '').split('/providers/Microsoft.Authorization/locks/')[0].toLowerCase();
+        if (scope === capacity.id.toLowerCase()) return 'capacity';
+        if (scope.includes('/resourcegroups/')) return 'resource group';
+        return 'subscription';
+    }
+
+    /**
+     * Resume or suspend every selected capacity (capacities already in the target state are skipped)
+     */
+    async runBulkStateOperation(operation) {
+        const label = operation === 'resume' ? 'Starting' : 'Stopping';
+        const targetState = operation === 'resume' ? 'Active' : 'Paused';
+        await this.runBulkOperation(label, capacity => {
+            if (capacity.properties?.state === targetState) {
+                return { skip: `already ${targetState === 'Active' ? 'running' : 'stopped'}` };
+            }
+            return { url: `${this.baseUrl}${capacity.id}/${operation}?api-version=${this.fabricApiVersion}`, method: 'POST' };
+        });
+    }
+
+    /**
+     * Change the SKU of every selected capacity. Capacities whose region does not offer the SKU
+     * (the Microsoft.Fabric/skus list single resize uses) are skipped; when that list cannot be read
+     * the PATCH is sent and Azure decides. Upgrades are checked against the CU quota of their subscription
+     * and region, counting the upgrades already planned in the same quota.
+     */
+    async runBulkResize(skuName) {
+        if (!skuName) return;
+        const headroomByQuota = new Map(); // "subscription|region" -> CU still free, null when unknown
+        await this.runBulkOperation(`Scaling to ${skuName}`, async capacity => {
+            if (capacity.sku?.name === skuName) {
+                return { skip: `already ${skuName}` };
+            }
+            let regionalSkus = [];
+            try {
+                regionalSkus = await this.getRegionalSkus(capacity.subscriptionId, capacity.location);
+            } catch (error) {
+                this.debugLog(`Regional SKU list unavailable for ${capacity.name}: ${error.message}`);
+            }
+            if (regionalSkus.length > 0 && !regionalSkus.includes(skuName)) {
+                return { skip: `${skuName} is not offered in ${capacity.location}` };
+            }
+            const extraUnits = (this.getSkuCapacityUnits(skuName) || 0) - (this.getSkuCapacityUnits(capacity.sku?.name) || 0);
+            if (extraUnits > 0) {
+                const quotaKey = `${capacity.subscriptionId}|${this.normalizeLocation(capacity.location)}`;
+                if (!headroomByQuota.has(quotaKey)) {
+                    const quota = await this.getFabricQuota(capacity.subscriptionId, capacity.location, true);
+                    headroomByQuota.set(quotaKey, quota ? quota.headroom : null);
+                }
+                const headroom = headroomByQuota.get(quotaKey);
+                if (headroom !== null) {
+                    if (extraUnits > headroom) {
+                        return { skip: `needs ${extraUnits} more CU but only ${headroom} CU of quota are free in ${capacity.location}` };
+                    }
+                    headroomByQuota.set(quotaKey, headroom - extraUnits);
+                }
+            }
+            return { url: `${this.baseUrl}${capacity.id}?api-version=${this.fabricApiVersion}`, method: 'PATCH', body: { sku: { name: skuName } } };
+        });
+    }
+
+    /**
+     * Run one ARM operation per selected capacity, at most bulkConcurrency at a time, follow each to
+     * its final state and log a single per-capacity summary. planRequest(capacity) returns (or resolves to)
+     * { url, method, body } or { skip: reason }; every capacity is planned before the first request is sent.
+     */
+    async runBulkOperation(label, planRequest) {
+        const capacities = this.getBulkSelectedCapacities();
+        if (capacities.length === 0) return;
+        const names = capacities.map(capacity => capacity.name);
+        if (!confirm(`${label} ${capacities.length} capacities?\n\n${names.join(', ')}`)) return;
+
+        this.log(`${label} ${capacities.length} capacities (${this.bulkConcurrency} at a time)...`);
+        await this.setButtonsEnabled(false);
+        this.bulkBar.querySelectorAll('button').forEach(button => { button.disabled = true; });
+
+        try {
+            const plans = [];
+            for (const capacity of capacities) {
+                plans.push({ capacity, request: await planRequest(capacity) });
+            }
+            const results = await this.runWithConcurrency(plans, this.bulkConcurrency, async ({ capacity, request }) => {
+                if (request.skip) {
+                    return { capacity, status: 'Skipped', detail: request.skip };
+                }
+                try {
+                    const result = await this.makeApiCall(request.url, request.method, request.body || null);
+                    if (!result.operation) {
+                        this.markCapacityChanged(capacity);
+                        return { capacity, status: 'Succeeded', detail: '' };
+                    }
+                    const outcome = await this.awaitPendingOperation(capacity, result.operation, label);
+                    return {
+                        capacity,
+                        status: outcome.status,
+                        detail: outcome.status === 'Succeeded' ? '' : this.formatOperationError(outcome.error)
+                    };
+                } catch (error) {
+                    return { capacity, status: 'Failed', detail: error.message };
+                }
+            });
+
+            const counts = {};
+            for (const { capacity, status, detail } of results) {
+                counts[status] = (counts[status] || 0) + 1;
+                this.log(`  ${capacity.name}: ${status}${detail ? ` - ${detail}` : ''}`);
+            }
+            const summary = Object.entries(counts).map(([status, count]) => `${count} ${status.toLowerCase()}`).join(', ');
+            if (counts.Succeeded === results.length - (counts.Skipped || 0)) {
+                this.logSuccess(`${label}: ${summary}`);
+            } else {
+                this.logError(`${label}: ${summary}`);
+            }
+        } catch (error) {
+            this.logError(`${label} stopped`, error);
+        } finally {
+            this.bulkBar.querySelectorAll('button').forEach(button => { button.disabled = false; });
+            await this.setButtonsEnabled(true);
+            await this.refreshCapacities();
+        }
+    }
+
+    /**
+     * Map items through an async worker with at most `limit` in flight; results keep the input order
+     */
+    async runWithConcurrency(items, limit, worker) {
+        const results = new Array(items.length);
+        let next = 0;
+        const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+            while (next < items.length) {
+                const index = next++;
+                results[index] = await worker(items[index]);
+            }
+        });
+        await Promise.all(runners);
+        return results;
+    }
+
+    /**
+     * Drop the schedule and auto-pause rule of a capacity once it is gone from the list
+     */
+    async onCapacityDeleted(capacity) {
+        if (this.capacities.some(c => c.id === capacity.id)) {
+            this.debugLog(`${capacity.name} is still listed after the delete operation`);
+            return;
+        }
+        const { capacitySchedules = {}, autoPauseRules = {} } = await this.storageGet(['capacitySchedules', 'autoPauseRules']);
+        delete capacitySchedules[capacity.id];
+        delete autoPauseRules[capacity.id];
+        await this.storageSet({ capacitySchedules, autoPauseRules });
+        this.logSuccess(`${capacity.name} deleted`);
+    }
+
+    /**
+     * Show the "New capacity" form and load the subscriptions it can be created in
+     */
+    async openCreatePanel() {
+        try {
+            if (!this.accessToken) {
+                await this.authenticate();
+            }
+            this.createPanel.style.display = 'flex';
+            this.createStatus.textContent = '';
+            this.createName.value = '';
+            if (!this.createAdmins.value) {
+                const account = this.accounts[this.activeAccountId];
+                this.createAdmins.value = account?.userPrincipalName || account?.username || '';
+            }
+
+            const subscriptions = await this.getSubscriptions();
+            this.createSubscription.innerHTML = '';
+            for (const subscription of subscriptions) {
+                const option = document.createElement('option');
+                option.value = subscription.subscriptionId;
+                option.textContent = subscription.displayName || subscription.subscriptionId;
+                this.createSubscription.appendChild(option);
+            }
+            if (subscriptions.length === 0) {
+                this.createStatus.textContent = 'No subscriptions available for this account';
+                return;
+            }
+            await this.onCreateSubscriptionChange();
+        } catch (error) {
+            this.logError('Failed to open the new capacity form', error);
+        }
+    }
+
+    closeCreatePanel() {
+        this.createPanel.style.display = 'none';
+    }
+
+    /**
+     * Load resource groups and Fabric regions for the chosen subscription
+     */
+    async onCreateSubscriptionChange() {
+        const subscriptionId = this.createSubscription.value;
+        if (!subscriptionId) return;
+
+        this.createResourceGroup.innerHTML = '';
+        this.createLocation.innerHTML = '';
+        try {
+            const [resourceGroups, locations] = await Promise.all([
+                this.getResourceGroups(subscriptionId),
+                this.getFabricLocations(subscriptionId)
+            ]);
+            for (const group of resourceGroups) {
+                const option = document.createElement('option');
+                option.value = group.name;
+                option.textContent = group.name;
+                option.dataset.location = this.normalizeLocation(group.location);
+                this.createResourceGroup.appendChild(option);
+            }
+            for (const location of locations) {
+                const option = document.createElement('option');
+                option.value = this.normalizeLocation(location);
+                option.textContent = location;
+                this.createLocation.appendChild(option);
+            }
+
+            // Default to the resource group's region when Fabric is offered there
+            const groupLocation = this.createResourceGroup.selectedOptions[0]?.dataset.location;
+            if (groupLocation && [...this.createLocation.options].some(option => option.value === groupLocation)) {
+                this.createLocation.value = groupLocation;
+            }
+            if (locations.length === 0) {
+                this.createStatus.textContent = 'Microsoft.Fabric is not registered in this subscription';
+            }
+            await this.onCreateLocationChange();
+        } catch (error) {
+            this.logError('Failed to load resource groups and regions', error);
+        }
+    }
+
+    /**
+     * Fill the SKU list for the chosen region (live list, with the offline list as fallback)
+     */
+    async onCreateLocationChange() {
+        const subscriptionId = this.createSubscription.value;
+        const location = this.createLocation.value;
+        this.createSku.innerHTML = '';
+        if (!subscriptionId || !location) return;
+
+        let skuNames;
+        try {
+            skuNames = await this.getRegionalSkus(subscriptionId, location);
+        } catch (error) {
+            this.debugLog(`Regional SKU lookup failed: ${error.message}`);
+            skuNames = [];
+        }
+        if (skuNames.length === 0) {
+            skuNames = this.fallbackSkuNames;
+            this.createStatus.textContent = 'Using the offline SKU list (region not checked)';
+        }
+        const quota = await this.getFabricQuota(subscriptionId, location);
+        if (quota) {
+            this.createStatus.textContent = this.describeQuota(quota, location);
+        }
+        for (const name of this.sortSkuNames(skuNames)) {
+            const sku = this.describeSku(name);
+            const option = document.createElement('option');
+            option.value = sku.name;
+            option.textContent = sku.displayName;
+            const hourly = this.getHourlyPrice(location, sku.name);
+            if (hourly !== null) {
+                option.textContent += ` · ${this.formatMoney(hourly)}/h · ${this.formatMoney(hourly * this.priceTable.hoursPerMonth)}/mo`;
+            }
+            if (quota && (this.getSkuCapacityUnits(sku.name) || 0) > quota.headroom) {
+                option.disabled = true;
+                option.textContent += ' · exceeds quota';
+            }
+            this.createSku.appendChild(option);
+        }
+    }
+
+    /**
+     * Resource groups of a subscription
+     */
+    async getResourceGroups(subscriptionId) {
+        const url = `${this.baseUrl}/subscriptions/${subscriptionId}/resourcegroups?api-version=${this.resourceApiVersion}`;
+        const resourceGroups = await this.getAllPages(url, 'resource groups');
+        return resourceGroups.sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Regions where the subscription can create Fabric capacities (from the resource provider metadata)
+     */
+    async getFabricLocations(subscriptionId) {
+        const url = `${this.baseUrl}/subscriptions/${subscriptionId}/providers/Microsoft.Fabric?api-version=${this.resourceApiVersion}`;
+        try {
+            const response = await this.makeApiCall(url);
+            const capacityType = (response.resourceTypes || []).find(type => type.resourceType.toLowerCase() === 'capacities');
+            return [...(capacityType?.locations || [])].sort();
+        } catch (error) {
+            this.debugLog(`Fabric provider metadata unavailable for ${subscriptionId}: ${error.message}`);
+            return [];
+        }
+    }
+
+    /**
+     * Check the name format locally, then ask Microsoft.Fabric whether it is still available.
+     * Returns true when the name can be used.
+     */
+    async validateCreateName() {
+        const name = this.createName.value.trim();
+        const subscriptionId = this.createSubscription.value;
+        const location = this.createLocation.value;
+        if (!/^[a-z][a-z0-9]{2,62}$/.test(name)) {
+            this.createStatus.textContent = 'Use 3-63 lowercase letters and digits, starting with a letter';
+            return false;
+        }
+        if (!subscriptionId || !location) return false;
+
+        try {
+            const url = `${this.baseUrl}/subscriptions/${subscriptionId}/providers/Microsoft.Fabric/locations/${location}/checkNameAvailability?api-version=${this.fabricApiVersion}`;
+            const result = await this.makeApiCall(url, 'POST', { name, type: 'Microsoft.Fabric/capacities' }, { idempotent: true });
+            if (result.body?.nameAvailable === false) {
+                this.createStatus.textContent = result.body.message || `Name not available (${result.body.reason})`;
+                return false;
+            }
+            this.createStatus.textContent = `"${name}" is available`;
+            return true;
+        } catch (error) {
+            this.createStatus.textContent = 'Could not check the name';
+            this.logError('Name availability check failed', error);
+            return false;
+        }
+    }
+
+    /**
+     * PUT a new capacity from the form and follow provisioning in its list row
+     */
+    async createCapacity() {
+        const subscriptionId = this.createSubscription.value;
+        const resourceGroup = this.createResourceGroup.value;
+        const location = this.createLocation.value;
+        const skuName = this.createSku.value;
+        const name = this.createName.value.trim();
+        const members = this.createAdmins.value.split(/[,;\s]+/).map(member => member.trim()).filter(Boolean);
+
+        if (!subscriptionId || !resourceGroup || !location || !skuName) {
+            this.createStatus.textContent = 'Choose a subscription, resource group, location and SKU';
+            return;
+        }
+        if (members.length === 0) {
+            this.createStatus.textContent = 'Add at least one administrator';
+            return;
+        }
+        const quota = await this.getFabricQuota(subscriptionId, location, true);
+        if (quota && (this.getSkuCapacityUnits(skuName) || 0) > quota.headroom) {
+            this.createStatus.textContent = `${skuName} exceeds the free quota (${quota.headroom} CU)`;
+            return;
+        }
+
+        this.createCapacityButton.disabled = true;
+        try {
+            if (!await this.validateCreateName()) return;
+
+            const hourly = this.getHourlyPrice(location, skuName);
+            const costNote = hourly !== null ? `\nEstimated cost while running: ${this.formatMoney(hourly)}/h` : '';
+            if (!confirm(`Create capacity ${name} (${skuName}) in ${resourceGroup} / ${location}?${costNote}`)) return;
+
+            const capacityId = `/subscriptions/${subscriptionId}/resourceGroups/${resourceGroup}/providers/Microsoft.Fabric/capacities/${name}`;
+            const url = `${this.baseUrl}${capacityId}?api-version=${this.fabricApiVersion}`;
+            const payload = {
+                location,
+                sku: { name: skuName, tier: 'Fabric' },
+                properties: { administration: { members } }
+            };
+            this.log(`Creating capacity ${name} (${skuName}) in ${location}...`);
+            const result = await this.makeApiCall(url, 'PUT', payload);
+            this.logSuccess(`Create request accepted for ${name}`);
+
+            // Show the new capacity right away; its row tracks provisioning until ARM reports a final state
+            const capacity = {
+                ...(result.body || {}),
+                id: result.body?.id || capacityId,
+                name,
+                location,
+                sku: { name: skuName, tier: 'Fabric' },
+                properties: { state: 'Provisioning', ...(result.body?.properties || {}) },
+                subscriptionId
+            };
+            capacity.displayName = `${capacity.name} (${capacity.properties.state})`;
+            this.capacities.push(capacity);
+            this.populateCapacityList();
+            this.closeCreatePanel();
+
+            const operation = result.operation || { resourceUrl: url, retryAfterMs: null };
+            this.trackCapacityOperation(capacity, { ...result, operation }, 'Provisioning');
+        } catch (error) {
+            this.createStatus.textContent = 'Create failed - see the log';
+            this.logError(`Failed to create capacity ${name}`, error);
+        } finally {
+            this.createCapacityButton.disabled = false;
+        }
+    }
+
+    /**
+     * Switch the visible tab in the capacity details panel
+     */
+    showDetailsTab(tabName) {
+        this.detailsPanel.querySelectorAll('.details-tab').forEach(tab => {
+            tab.classList.toggle('active', tab.dataset.tab === tabName);
+        });
+        this.detailsPanel.querySelectorAll('.details-tab-content').forEach(content => {
+            content.classList.toggle('active', content.dataset.tabContent === tabName);
+        });
+        this.activeDetailsTab = tabName;
+
+        // The Activity Log is only queried when someone looks at it
+        const capacity = this.getSelectedCapacity();
+        if (tabName === 'history' && capacity && this.activityState?.capacityId !== capacity.id) {
+            this.loadActivityHistory(capacity);
+        }
+        if (tabName === 'metrics' && capacity) {
+            this.renderMetricsChart(capacity);
+        }
+    }
+
+    /** chrome.storage.local get wrapped in a promise */
+    storageGet(keys) {
+        return new Promise(resolve => chrome.storage.local.get(keys, resolve));
+    }
+
+    /** chrome.storage.local set wrapped in a promise */
+    storageSet(items) {
+        return new Promise(resolve => chrome.storage.local.set(items, resolve));
+    }
+
+    /** Currently selected capacity object, or null */
+    getSelectedCapacity() {
+        const selectedIndex = this.selectedCapacityIndex;
+        if (selectedIndex === null || selectedIndex === undefined) return null;
+        return this.capacities[parseInt(selectedIndex)] || null;
+    }
+
+    /**
+     * Fill the schedule form from the stored schedule for a capacity.
+     * Schedules are executed by the background service worker (background.js).
+     */
+    async loadScheduleForm(capacity) {
+        const { capacitySchedules = {} } = await this.storageGet('capacitySchedules');
+        const schedule = capacitySchedules[capacity.id] || {
+            enabled: false,
+            days: [1, 2, 3, 4, 5],
+            resumeAt: '',
+            suspendAt: '',
+            timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone
+        };
+        this.scheduleEnabled.checked = !!schedule.enabled;
+        this.scheduleDays.querySelectorAll('input[data-day]').forEach(input => {
+            input.checked = schedule.days.includes(parseInt(input.dataset.day));
+        });
+        this.scheduleResumeAt.value = schedule.resumeAt || '';
+        this.scheduleSuspendAt.value = schedule.suspendAt || '';
+        this.scheduleTimeZone.value = schedule.timeZone;
+    }
+
+    /**
+     * Validate and store the schedule for the selected capacity
+     */
+    async saveSchedule() {
+        const capacity = this.getSelectedCapacity();
+        if (!capacity) return;
+
+        const timeZone = this.scheduleTimeZone.value.trim();
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone });
+        } catch (e) {
+            this.logError(`Unknown time zone "${timeZone}". Use an IANA name such as Europe/Amsterdam.`);
+            return;
+        }
+        const days = Array.from(this.scheduleDays.querySelectorAll('input[data-day]:checked'))
+            .map(input => parseInt(input.dataset.day));
+        const schedule = {
+            capacityName: capacity.name,
+            accountId: this.activeAccountId,
+            tenantId: this.activeTenantId,
+            enabled: this.scheduleEnabled.checked,
+            timeZone,
+            days,
+            resumeAt: this.scheduleResumeAt.value,
+            suspendAt: this.scheduleSuspendAt.value
+        };
+        if (schedule.enabled && (!days.length || (!schedule.resumeAt && !schedule.suspendAt))) {
+            this.logError('A schedule needs at least one day and a resume or suspend time');
+            return;
+        }
+
+        const { capacitySchedules = {} } = await this.storageGet('capacitySchedules');
+        capacitySchedules[capacity.id] = schedule;
+        await this.storageSet({ capacitySchedules });
+        if (schedule.enabled) {
+            const times = [schedule.resumeAt && `resume ${schedule.resumeAt}`, schedule.suspendAt && `suspend ${schedule.suspendAt}`]
+                .filter(Boolean).join(', ');
+            this.logSuccess(`Schedule saved for ${capacity.name}: ${times} (${timeZone})`);
+        } else {
+            this.log(`Schedule disabled for ${capacity.name}`);
+        }
+    }
+
+    /**
+     * Fill the auto-pause form for a capacity. The background worker enforces the rule.
+     */
+    async loadAutoPauseForm(capacity) {
+        const { autoPauseRules = {}, capacityActiveSince = {}, autoPauseState = {} } =
+            await this.storageGet(['autoPauseRules', 'capacityActiveSince', 'autoPauseState']);
+        const rule = autoPauseRules[capacity.id];
+        this.autoPauseEnabled.checked = !!rule?.enabled;
+        this.autoPauseHours.value = rule?.maxRunningHours || 8;
+
+        const since = capacityActiveSince[capacity.id];
+        const state = autoPauseState[capacity.id];
+        const lines = [];
+        if (since) {
+            lines.push(`Running since at least ${new Date(since).toLocaleString()}`);
+        }
+        if (state?.warnedAt) {
+            lines.push(`Warning sent ${new Date(state.warnedAt).toLocaleTimeString()}; suspend at ${new Date(state.pauseAt).toLocaleTimeString()}`);
+        } else if (state?.snoozedUntil && state.snoozedUntil > Date.now()) {
+            lines.push(`Snoozed until ${new Date(state.snoozedUntil).toLocaleTimeString()}`);
+        }
+        this.autoPauseStatus.textContent = lines.join('\n');
+        this.autoPauseStatus.style.whiteSpace = 'pre-line';
+    }
+
+    /**
+     * Store the auto-pause rule for the selected capacity
+     */
+    async saveAutoPauseRule() {
+        const capacity = this.getSelectedCapacity();
+        if (!capacity) return;
+
+        const maxRunningHours = parseFloat(this.autoPauseHours.value);
+        if (this.autoPauseEnabled.checked && !(maxRunningHours > 0)) {
+            this.logError('Enter the maximum running hours as a positive number');
+            return;
+        }
+        const { autoPauseRules = {} } = await this.storageGet('autoPauseRules');
+        autoPauseRules[capacity.id] = {
+            capacityName: capacity.name,
+            accountId: this.activeAccountId,
+            tenantId: this.activeTenantId,
+            subscriptionId: capacity.subscriptionId,
+            enabled: this.autoPauseEnabled.checked,
+            maxRunningHours
+        };
+        await this.storageSet({ autoPauseRules });
+        if (this.autoPauseEnabled.checked) {
+            this.logSuccess(`Auto-pause enabled for ${capacity.name}: suspend after ${maxRunningHours}h running`);
+        } else {
+            this.log(`Auto-pause disabled for ${capacity.name}`);
+        }
+    }
+
+    /**
+     * Reflect the transition notification preferences (kept in `notificationPrefs`, read by the
+     * background worker) for a capacity. Transition types apply to all capacities.
+     */
+    async loadNotificationPrefs(capacity) {
+        const { notificationPrefs } = await this.storageGet('notificationPrefs');
+        const transitions = notificationPrefs?.transitions || {};
+        const mutedCapacityIds = notificationPrefs?.mutedCapacityIds || [];
+        this.notifyCapacityToggle.checked = !mutedCapacityIds.includes(capacity.id);
+        this.notifyTransitions.querySelectorAll('input[data-transition]').forEach(input => {
+            input.checked = transitions[input.dataset.transition] !== false;
+        });
+    }
+
+    /**
+     * Store the notification preferences from the Notifications tab
+     */
+    async saveNotificationPrefs() {
+        const capacity = this.getSelectedCapacity();
+        if (!capacity) return;
+
+        const { notificationPrefs } = await this.storageGet('notificationPrefs');
+        const transitions = {};
+        this.notifyTransitions.querySelectorAll('input[data-transition]').forEach(input => {
+            transitions[input.dataset.transition] = input.checked;
+        });
+        const mutedCapacityIds = (notificationPrefs?.mutedCapacityIds || []).filter(id => id !== capacity.id);
+        if (!this.notifyCapacityToggle.checked) {
+            mutedCapacityIds.push(capacity.id);
+        }
+        await this.storageSet({ notificationPrefs: { transitions, mutedCapacityIds } });
+        this.log(`Notifications for ${capacity.name} ${this.notifyCapacityToggle.checked ? 'enabled' : 'muted'}`);
+    }
+
+    /**
+     * Select the capacity a notification's "Open" button asked for (stored by the background worker)
+     */
+    async applyFocusRequest() {
+        const { focusCapacityId } = await this.storageGet('focusCapacityId');
+        if (!focusCapacityId) return;
+
+        await chrome.storage.local.remove('focusCapacityId');
+        const index = this.capacities.findIndex(c => c.id === focusCapacityId);
+        if (index === -1) {
+            this.log('The capacity from the notification is not in the current account or tenant');
+            return;
+        }
+        this.selectedCapacityIndex = index;
+        await this.onCapacityItemClick(index);
+        this.capacityList.querySelector(`[data-index="${index}"]`)?.scrollIntoView({ block: 'nearest' });
+    }
+
+    /**
+     * Show the capacity's administrators (properties.administration.members).
+     * Unsaved edits survive a status refresh of the same capacity.
+     */
+    loadAdmins(capacity) {
+        if (this.adminDraft?.capacityId !== capacity.id || !this.adminDraft.dirty) {
+            this.adminDraft = {
+                capacityId: capacity.id,
+                members: [...(capacity.properties?.administration?.members || [])],
+                dirty: false
+            };
+        }
+        this.adminSearch.value = '';
+        this.adminSearchResults.innerHTML = '';
+        this.renderAdminList();
+        this.resolveDirectoryNames(this.adminDraft.members).then(() => this.renderAdminList());
+    }
+
+    renderAdminList() {
+        this.adminList.innerHTML = '';
+        // Removing the last admin leaves the draft dirty; Save then explains why it cannot be stored
+        this.saveAdminsButton.disabled = !this.adminDraft?.dirty;
+        if (!this.adminDraft || this.adminDraft.members.length === 0) {
+            this.adminList.textContent = 'No administrators';
+            return;
+        }
+        for (const member of this.adminDraft.members) {
+            const row = this.createMemberRow(member, this.directoryNames.get(member.toLowerCase()));
+            const removeButton = document.createElement('button');
+            removeButton.textContent = '×';
+            removeButton.title = `Remove ${member}`;
+            removeButton.addEventListener('click', () => {
+                this.adminDraft.members = this.adminDraft.members.filter(m => m !== member);
+                this.adminDraft.dirty = true;
+                this.renderAdminList();
+            });
+            row.appendChild(removeButton);
+            this.adminList.appendChild(row);
+        }
+    }
+
+    /** One list row: display name (when known) and the raw member identity */
+    createMemberRow(member, displayName) {
+        const row = document.createElement('div');
+        row.className = 'member-row';
+        const name = document.createElement('span');
+        name.className = 'member-name';
+        name.textContent = displayName || member;
+        name.title = member;
+        row.appendChild(name);
+        if (displayName && displayName !== member) {
+            const id = document.createElement('span');
+            id.className = 'member-id';
+            id.textContent = member;
+            row.appendChild(id);
+        }
+        return row;
+    }
+
+    /**
+     * Look up display names in Microsoft Graph: UPNs through /users, object ids (groups,
+     * service principals) through directoryObjects/getByIds. Unresolved members keep their raw value.
+     */
+    async resolveDirectoryNames(members) {
+        const unknown = members.filter(member => !this.directoryNames.has(member.toLowerCase()));
+        if (unknown.length === 0) return;
+        const token = await this.ensureGraphDirectoryToken();
+        if (!token) {
+            this.debugLog('No Graph directory token; showing raw admin identities');
+            return;
+        }
+        const headers = this.getAuthHeaders(token);
+        const objectIds = unknown.filter(member => /^[0-9a-f-]{36}$/i.test(member));
+        const userNames = unknown.filter(member => !objectIds.includes(member));
+
+        await Promise.all(userNames.map(async upn => {
+            try {
+                const response = await this.timedFetch(`${this.graphUrl}/v1.0/users/${encodeURIComponent(upn)}?$select=displayName,userPrincipalName`, { headers });
+                if (response.ok) {
+                    const user = await response.json();
+                    this.directoryNames.set(upn.toLowerCase(), user.displayName);
+                }
+            } catch (error) {
+                this.debugLog(`Graph lookup failed for ${upn}: ${error.message}`);
+            }
+        }));
+        if (objectIds.length > 0) {
+            try {
+                const response = await this.timedFetch(`${this.graphUrl}/v1.0/directoryObjects/getByIds`, {
+                    method: 'POST',
+                    headers,
+                    body: JSON.stringify({ ids: objectIds, types: ['user', 'group', 'servicePrincipal'] })
+                });
+                if (response.ok) {
+                    const json = await response.json();
+                    for (const object of json.value || []) {
+                        this.directoryNames.set(object.id.toLowerCase(), object.displayName);
+                    }
+                }
+            } catch (error) {
+                this.debugLog(`Graph getByIds failed: ${error.message}`);
+            }
+        }
+    }
+
+    /**
+     * Search Graph users (by name or UPN) and security groups (when consented) for the admin editor
+     */
+    async searchDirectory(term) {
+        const query = term.trim().replace(/'/g, "''");
+        this.adminSearchResults.innerHTML = '';
+        if (query.length < 2 || !this.adminDraft) return;
+
+        const token = await this.ensureGraphDirectoryToken();
+        if (!token) {
+            this.adminSearchResults.textContent = 'Directory search needs the User.ReadBasic.All permission';
+            return;
+        }
+        const headers = this.getAuthHeaders(token);
+        const results = [];
+        try {
+            const userFilter = encodeURIComponent(`startswith(displayName,'${query}') or startswith(userPrincipalName,'${query}')`);
+            const response = await this.timedFetch(`${this.graphUrl}/v1.0/users?$filter=${userFilter}&$top=8&$select=id,displayName,userPrincipalName`, { headers });
+            if (response.ok) {
+                const json = await response.json();
+                results.push(...(json.value || []).map(user => ({ member: user.userPrincipalName, displayName: user.displayName, kind: 'User' })));
+            }
+            if (this.graphTokenCanReadGroups()) {
+                const groupFilter = encodeURIComponent(`startswith(displayName,'${query}') and securityEnabled eq true`);
+                const groupResponse = await this.timedFetch(`${this.graphUrl}/v1.0/groups?$filter=${groupFilter}&$top=5&$select=id,displayName`, { headers });
+                if (groupResponse.ok) {
+                    const json = await groupResponse.json();
+                    results.push(...(json.value || []).map(group => ({ member: group.id, displayName: group.displayName, kind: 'Group' })));
+                }
+            }
+        } catch (error) {
+            this.logError('Directory search failed', error);
+            return;
+        }
+
+        // Ignore results for a term the user has already changed
+        if (this.adminSearch.value.trim().replace(/'/g, "''") !== query) return;
+        if (results.length === 0) {
+            this.adminSearchResults.textContent = 'No matching users or groups';
+            return;
+        }
+        for (const result of results) {
+            this.directoryNames.set(result.member.toLowerCase(), result.displayName);
+            const row = this.createMemberRow(result.member, `${result.displayName} (${result.kind})`);
+            row.addEventListener('click', () => {
+                if (!this.adminDraft.members.some(m => m.toLowerCase() === result.member.toLowerCase())) {
+                    this.adminDraft.members.push(result.member);
+                    this.adminDraft.dirty = true;
+                }
+                this.adminSearch.value = '';
+                this.adminSearchResults.innerHTML = '';
+                this.renderAdminList();
+            });
+            this.adminSearchResults.appendChild(row);
+        }
+    }
+
+    /**
+     * PATCH the edited administrator list; a capacity must keep at least one admin
+     */
+    async saveAdmins() {
+        const capacity = this.getSelectedCapacity();
+        if (!capacity || this.adminDraft?.capacityId !== capacity.id) return;
+
+        const members = this.adminDraft.members;
+        if (members.length === 0) {
+            this.logError(`${capacity.name} needs at least one administrator; add someone before removing the last admin`);
+            return;
+        }
+        try {
+            this.saveAdminsButton.disabled = true;
+            this.log(`Updating administrators of ${capacity.name}...`);
+            const url = `${this.baseUrl}${capacity.id}?api-version=${this.fabricApiVersion}`;
+            const result = await this.makeApiCall(url, 'PATCH', { properties: { administration: { members } } });
+            this.adminDraft.dirty = false;
+            this.logSuccess(`Administrator update initiated for ${capacity.name}`);
+            this.trackCapacityOperation(capacity, result, 'Updating admins');
+        } catch (error) {
+            this.saveAdminsButton.disabled = false;
+            this.logError(`Failed to update administrators of ${capacity.name}`, error);
+        }
+    }
+
+    /**
+     * Show the capacity's Azure tags as editable key/value rows.
+     * Unsaved edits survive a status refresh of the same capacity.
+     */
+    loadTags(capacity) {
+        if (this.tagDraft?.capacityId !== capacity.id || !this.tagDraft.dirty) {
+            this.tagDraft = {
+                capacityId: capacity.id,
+                rows: Object.entries(capacity.tags || {}).map(([key, value]) => ({ key, value })),
+                dirty: false
+            };
+        }
+        this.renderTagList();
+    }
+
+    renderTagList() {
+        this.tagList.innerHTML = '';
+        if (this.tagDraft.rows.length === 0) {
+            this.tagList.textContent = 'No tags';
+        }
+        this.tagDraft.rows.forEach((row, index) => {
+            const element = document.createElement('div');
+            element.className = 'member-row tag-row';
+            const keyInput = document.createElement('input');
+            keyInput.type = 'text';
+            keyInput.placeholder = 'Name';
+            keyInput.value = row.key;
+            const valueInput = document.createElement('input');
+            valueInput.type = 'text';
+            valueInput.placeholder = 'Value';
+            valueInput.value = row.value;
+            for (const [input, field] of [[keyInput, 'key'], [valueInput, 'value']]) {
+                input.addEventListener('input', () => {
+                    this.tagDraft.rows[index][field] = input.value;
+                    this.tagDraft.dirty = true;
+                    this.saveTagsButton.disabled = false;
+                });
+            }
+            const removeButton = document.createElement('button');
+            removeButton.textContent = '×';
+            removeButton.title = 'Remove tag';
+            removeButton.addEventListener('click', () => {
+                this.tagDraft.rows.splice(index, 1);
+                this.tagDraft.dirty = true;
+                this.renderTagList();
+            });
+            element.appendChild(keyInput);
+            element.appendChild(valueInput);
+            element.appendChild(removeButton);
+            this.tagList.appendChild(element);
+        });
+        this.saveTagsButton.disabled = !this.tagDraft.dirty;
+    }
+
+    /**
+     * Save the tag editor through the ARM Tags API: changed and new tags are merged,
+     * removed tags are deleted, other tags on the resource are left alone.
+     */
+    async saveTags() {
+        const capacity = this.getSelectedCapacity();
+        if (!capacity || this.tagDraft?.capacityId !== capacity.id) return;
+
+        const tags = {};
+        for (const row of this.tagDraft.rows) {
+            const key = row.key.trim();
+            if (!key && !row.value) continue;
+            if (!key || /[<>%&\\?/]/.test(key) || key.length > 512) {
+                this.logError(`Invalid tag name "${key}": up to 512 characters, without < > % & \\ ? /`);
+                return;
+            }
+            if (row.value.length > 256) {
+                this.logError(`Tag value for "${key}" is longer than 256 characters`);
+                return;
+            }
+            if (Object.prototype.hasOwnProperty.call(tags, key)) {
+                this.logError(`Tag "${key}" is listed twice`);
+                return;
+            }
+            tags[key] = row.value;
+        }
+
+        const original = capacity.tags || {};
+        const changed = Object.fromEntries(Object.entries(tags).filter(([key, value]) => original[key] !== value));
+        const removed = Object.fromEntries(Object.entries(original).filter(([key]) => !Object.prototype.hasOwnProperty.call(tags, key)));
+        if (Object.keys(changed).length === 0 && Object.keys(removed).length === 0) {
+            this.log('No tag changes to save');
+            this.tagDraft.dirty = false;
+            this.renderTagList();
+            return;
+        }
+
+        const url = `${this.baseUrl}${capacity.id}/providers/Microsoft.Resources/tags/default?api-version=${this.resourceApiVersion}`;
+        try {
+            this.saveTagsButton.disabled = true;
+            if (Object.keys(changed).length > 0) {
+                await this.makeApiCall(url, 'PATCH', { operation: 'Merge', properties: { tags: changed } });
+            }
+            if (Object.keys(removed).length > 0) {
+                await this.makeApiCall(url, 'PATCH', { operation: 'Delete', properties: { tags: removed } });
+            }
+            capacity.tags = tags;
+            this.markCapacityChanged(capacity);
+            this.tagDraft.dirty = false;
+            this.logSuccess(`Tags saved for ${capacity.name}` +
+                (Object.keys(removed).length > 0 ? ` (removed ${Object.keys(removed).join(', ')})` : ''));
+            this.populateCapacityList();
+            this.restoreSelectionHighlight();
+            this.renderTagList();
+        } catch (error) {
+            this.saveTagsButton.disabled = false;
+            this.logError(`Failed to save tags for ${capacity.name}`, error);
+        }
+    }
+
+    /**
+     * Start the History tab for a capacity: Activity Log events of the last 90 days, newest first
+     */
+    async loadActivityHistory(capacity) {
+        const since = new Date(Date.now() - this.activityLogDays * 24 * 60 * 60 * 1000).toISOString();
+        const filter = `eventTimestamp ge '${since}' and resourceUri eq '${capacity.id}'`;
+        const select = 'eventTimestamp,operationName,status,caller,correlationId';
+        this.activityState = {
+            capacityId: capacity.id,
+            events: [],
+            seenCorrelationIds: new Set(),
+            nextLink: `${this.baseUrl}/subscriptions/${capacity.subscriptionId}/providers/Microsoft.Insights/eventtypes/management/values` +
+                `?api-version=${this.activityLogApiVersion}&$filter=${encodeURIComponent(filter)}&$select=${encodeURIComponent(select)}`
+        };
+        this.activityList.innerHTML = '';
+        await this.loadActivityPage();
+    }
+
+    /**
+     * Fetch the next Activity Log page for the History tab. Pages that hold no capacity operations
+     * are skipped (up to a few) so "Load older" always adds something when there is something.
+     */
+    async loadActivityPage() {
+        const state = this.activityState;
+        if (!state?.nextLink) return;
+
+        this.activityMoreButton.disabled = true;
+        this.activityStatus.textContent = 'Loading Activity Log...';
+        try {
+            let added = 0;
+            for (let page = 0; page < 5 && state.nextLink && added === 0; page++) {
+                const response = await this.makeApiCall(state.nextLink);
+                if (this.activityState !== state) return; // another capacity was selected meanwhile
+                state.nextLink = response.nextLink || null;
+                for (const event of response.value || []) {
+                    const operation = this.describeActivityOperation(event.operationName?.value);
+                    // Events arrive newest first; the first event of an operation carries its latest status
+                    if (!operation || state.seenCorrelationIds.has(event.correlationId)) continue;
+                    state.seenCorrelationIds.add(event.correlationId);
+                    state.events.push({
+                        at: event.eventTimestamp,
+                        operation,
+                        status: event.status?.localizedValue || event.status?.value || 'Unknown',
+                        caller: event.caller || 'unknown caller'
+                    });
+                    added++;
+                }
+            }
+            this.renderActivityList();
+            this.activityStatus.textContent = state.nextLink
+                ? `${state.events.length} operations loaded`
+                : `${state.events.length} operations in the last ${this.activityLogDays} days`;
+        } catch (error) {
+            if (this.activityState !== state) return;
+            this.activityStatus.textContent = 'Activity Log unavailable';
+            this.logError('Failed to load the Activity Log', error);
+        } finally {
+            // A stale load must not touch the button of the capacity selected since
+            if (this.activityState === state) {
+                this.activityMoreButton.disabled = !state.nextLink;
+            }
+        }
+    }
+
+    /** Label for the capacity operations shown in the History tab, or null for other events */
+    describeActivityOperation(operationName) {
+        const labels = {
+            'microsoft.fabric/capacities/resume/action': 'Resume',
+            'microsoft.fabric/capacities/suspend/action': 'Suspend',
+            'microsoft.fabric/capacities/write': 'Create/update',
+            'microsoft.fabric/capacities/delete': 'Delete'
+        };
+        return labels[(operationName || '').toLowerCase()] || null;
+    }
+
+    renderActivityList() {
+        this.activityList.innerHTML = '';
+        if (this.activityState.events.length === 0) {
+            this.activityList.textContent = 'No resume, suspend, write or delete events found';
+            return;
+        }
+        for (const event of this.activityState.events) {
+            const line = document.createElement('div');
+            line.textContent = `${new Date(event.at).toLocaleString()} - ${event.operation} (${event.status}) by ${event.caller}`;
+            if (event.status === 'Failed') {
+                line.classList.add('failed');
+            }
+            this.activityList.appendChild(line);
+        }
+    }
+
+    /** Show warnings the background poll recorded in the operation log after `since` (they belong to no capacity) */
+    logBackgroundWarnings(operationLog, since) {
+        for (const entry of operationLog) {
+            if (entry.at > since && entry.source === 'poll') {
+                this.logError(`Background poll: ${entry.detail}`);
+            }
+        }
+    }
+
+    /**
+     * Show the most recent automated runs (schedules, auto-pause) for the selected capacity
+     */
+    async renderOperationHistory() {
+        const capacity = this.getSelectedCapacity();
+        if (!capacity) return;
+        const { operationLog = [] } = await this.storageGet('operationLog');
+        const entries = operationLog.filter(entry => entry.capacityId === capacity.id).slice(-10).reverse();
+
+        this.operationHistory.innerHTML = '';
+        if (entries.length === 0) {
+            this.operationHistory.textContent = 'No automated runs yet';
+            return;
+        }
+        for (const entry of entries) {
+            const line = document.createElement('div');
+            line.textContent = `${new Date(entry.at).toLocaleString()} - ${entry.operation} (${entry.source}): ${entry.status}` +
+                (entry.detail ? ` - ${entry.detail}` : '');
+            if (entry.status === 'Failed') {
+                line.classList.add('failed');
+            }
+            this.operationHistory.appendChild(line);
+        }
+    }
+
+    /**
+     * Load the SKUs the capacity can move to.
+     * The regional list comes from Microsoft.Fabric/skus (cached per subscription and region) and is
+     * narrowed by the capacity's own /skus endpoint. The static list is only used when both calls fail.
+     */
+    async loadAvailableSkus(capacity) {
+        try {
+            this.debugLog('Loading available SKUs...');
+            let regionalSkus = [];
+            try {
+                regionalSkus = await this.getRegionalSkus(capacity.subscriptionId, capacity.location);
+            } catch (error) {
+                this.debugLog(`Regional SKU list unavailable, using the capacity's list: ${error.message}`);
+            }
+
+            let skuNames = regionalSkus;
+            try {
+                const url = `${this.baseUrl}${capacity.id}/skus?api-version=${this.fabricApiVersion}`;
+                const entries = await this.getAllPages(url, 'capacity SKUs');
+                const capacitySkus = entries.map(entry => entry.sku?.name).filter(Boolean);
+                if (capacitySkus.length > 0) {
+                    skuNames = regionalSkus.length > 0
+                        ? capacitySkus.filter(name => regionalSkus.includes(name))
+                        : capacitySkus;
+                }
+            } catch (error) {
+                this.debugLog(`Capacity SKU list unavailable, using regional list: ${error.message}`);
+            }
+
+            if (skuNames.length === 0) {
+                throw new Error(`No SKUs returned for ${capacity.location}`);
+            }
+            this.availableSkus = this.sortSkuNames(skuNames).map(name => this.describeSku(name));
+            this.availableSkusSource = 'live';
+            this.debugLog(`Loaded ${this.availableSkus.length} available SKUs for ${capacity.location}`);
+        } catch (error) {
+            this.logError('Failed to load available SKUs; showing offline list', error);
+            this.availableSkus = this.fallbackSkuNames.map(name => this.describeSku(name));
+            this.availableSkusSource = 'fallback';
+        }
+    }
+
+    /**
+     * SKU names offered in a region for a subscription, from Microsoft.Fabric/skus.
+     * Results are cached in memory and in chrome.storage.local for skuCacheTtlMs.
+     */
+    async getRegionalSkus(subscriptionId, location) {
+        const region = this.normalizeLocation(location);
+        const cacheKey = `${subscriptionId}|${region}`;
+        const cached = this.skuCache[cacheKey] || (await this.storageGet('skuCache')).skuCache?.[cacheKey];
+        if (cached && Date.now() - cached.fetchedAt < this.skuCacheTtlMs) {
+            this.skuCache[cacheKey] = cached;
+            this.debugLog(`Using cached SKU list for ${region}`);
+            return cached.skus;
+        }
+
+        const url = `${this.baseUrl}/subscriptions/${subscriptionId}/providers/Microsoft.Fabric/skus?api-version=${this.fabricApiVersion}`;
+        const skus = (await this.getAllPages(url, 'Fabric SKUs'))
+            .filter(sku => !sku.resourceType || sku.resourceType.toLowerCase() === 'capacities')
+            .filter(sku => (sku.locations || []).some(loc => this.normalizeLocation(loc) === region))
+            .map(sku => sku.name);
+        const uniqueSkus = [...new Set(skus)];
+
+        const entry = { skus: uniqueSkus, fetchedAt: Date.now() };
+        this.skuCache[cacheKey] = entry;
+        const { skuCache = {} } = await this.storageGet('skuCache');
+        skuCache[cacheKey] = entry;
+        await this.storageSet({ skuCache });
+        return uniqueSkus;
+    }
+
+    /**
+     * Fabric CU quota of a subscription in a region from the Microsoft.Fabric usages API.
+     * Resolves to { used, limit, headroom } or null when the quota cannot be read (checks are then skipped).
+     */
+    async getFabricQuota(subscriptionId, location, bypassCache = false) {
+        const region = this.normalizeLocation(location);
+        const cacheKey = `${subscriptionId}|${region}`;
+        const cached = this.quotaCache.get(cacheKey);
+        if (!bypassCache && cached && Date.now() - cached.fetchedAt < this.quotaCacheTtlMs) {
+            return cached;
+        }
+        try {
+            const url = `${this.baseUrl}/subscriptions/${subscriptionId}/providers/Microsoft.Fabric/locations/${region}/usages?api-version=${this.fabricApiVersion}`;
+            const response = await this.makeApiCall(url);
+            const usages = response.value || [];
+            // Another usage's limit says nothing about CU; without a match the quota is unknown
+            const usage = usages.find(entry => /capacit|^cu/i.test(entry.name?.value || ''));
+            if (!usage || typeof usage.limit !== 'number') return null;
+            const quota = {
+                used: usage.currentValue || 0,
+                limit: usage.limit,
+                headroom: Math.max(0, usage.limit - (usage.currentValue || 0)),
+                fetchedAt: Date.now()
+            };
+            this.quotaCache.set(cacheKey, quota);
+            this.debugLog(`Fabric quota in ${region}: ${quota.used}/${quota.limit} CU`);
+            return quota;
+        } catch (error) {
+            this.debugLog(`Fabric quota unavailable for ${subscriptionId} in ${region}: ${error.message}`);
+            return null;
+        }
+    }
+
+    describeQuota(quota, location) {
+        return `Quota: ${quota.headroom} CU free (${quota.used} of ${quota.limit} CU used in ${location})`;
+    }
+
+    /** ARM reports locations both as "West Europe" and "westeurope" */
+    normalizeLocation(location) {
+        return (location || '').toLowerCase().replace(/\s+/g, '');
+    }
+
+    /** Capacity units of an F SKU (F64 -> 64), or null for unknown names */
+    getSkuCapacityUnits(name) {
+        const match = /^F(\d+)$/i.exec(name || '');
+        return match ? parseInt(match[1]) : null;
+    }
+
+    sortSkuNames(names) {
+        return [...names].sort((a, b) => (this.getSkuCapacityUnits(a) ?? Infinity) - (this.getSkuCapacityUnits(b) ?? Infinity));
+    }
 
-            this.debugLog(`List population complete. Total items: ${this.capacities.length}`);
+    /** Dropdown entry for a SKU name */
+    describeSku(name) {
+        const units = this.getSkuCapacityUnits(name);
+        return {
+            name,
+            displayName: units ? `${name} (${units} CU)` : name,
+            description: units ? `${units} capacity units` : ''
+        };
+    }
+
+    /**
+     * Load the bundled price table and the preferred display currency
+     */
+    async loadPriceTable() {
+        try {
+            const response = await fetch(chrome.runtime.getURL('pricing.json'));
+            if (!response.ok) throw new Error(`pricing.json: ${response.status}`);
+            this.priceTable = await response.json();
+            const { costCurrency } = await this.storageGet('costCurrency');
+            const currencies = Object.keys(this.priceTable.regions.default || {});
+            this.currency = currencies.includes(costCurrency) ? costCurrency : this.priceTable.defaultCurrency;
+            this.currencySelect.innerHTML = '';
+            for (const currency of currencies) {
+                const option = document.createElement('option');
+                option.value = currency;
+                option.textContent = currency;
+                option.selected = currency === this.currency;
+                this.currencySelect.appendChild(option);
+            }
+            this.debugLog(`Loaded price table ${this.priceTable.version}`);
         } catch (error) {
-            this.logError('Failed to populate list', error);
-            console.error('List population failed:', error);
+            this.priceTable = null;
+            this.log(`Price table unavailable; cost estimates are hidden: ${error.message}`);
         }
     }
 
     /**
-     * Handle capacity item click
+     * Estimated hourly price of a SKU in a region (null when unknown)
      */
-    async onCapacityItemClick(index) {
-        // Update selected state in UI
-        const allItems = this.capacityList.querySelectorAll('.capacity-list-item');
-        allItems.forEach(item => item.classList.remove('selected'));
-        
-        const clickedItem = this.capacityList.querySelector(`[data-index="${index}"]`);
-        if (clickedItem) {
-            clickedItem.classList.add('selected');
-        }
-        
-        this.selectedCapacityIndex = index;
-        await this.onCapacitySelectionChange();
+    getHourlyPrice(location, skuName) {
+        const units = this.getSkuCapacityUnits(skuName);
+        if (!this.priceTable || !units) return null;
+        const regionPrices = this.priceTable.regions[this.normalizeLocation(location)] || this.priceTable.regions.default;
+        const perUnit = regionPrices?.[this.currency];
+        return typeof perUnit === 'number' ? perUnit * units : null;
+    }
+
+    formatMoney(amount) {
+        return new Intl.NumberFormat(undefined, { style: 'currency', currency: this.currency }).format(amount);
     }
 
     /**
-     * Handle capacity selection change
+     * Remember when each capacity was first seen Active, so the value is a lower bound. The background worker
+     * keeps `capacityActiveSince` up to date from its poll as well, so it applies the states the popup loaded.
      */
-    async onCapacitySelectionChange() {
-        const selectedIndex = this.selectedCapacityIndex;
-        
-        if (selectedIndex === null || selectedIndex === undefined) {
-            this.startButton.disabled = true;
-            this.stopButton.disabled = true;
-            this.skuSelect.disabled = true;
-            this.updateSkuButton.disabled = true;
-            this.skuSelect.innerHTML = '<option value="">Select a capacity first...</option>';
-            return;
+    async recordActiveSince() {
+        const capacities = this.capacities.map(capacity => ({ id: capacity.id, properties: { state: capacity.properties?.state } }));
+        try {
+            const response = await chrome.runtime.sendMessage({ type: 'RECORD_ACTIVE_SINCE', capacities });
+            if (!response?.ok) throw new Error(response?.error || 'no response');
+            this.capacityActiveSince = response.capacityActiveSince;
+        } catch (e) {
+            this.debugLog('Recording running times failed: ' + e.message);
+            const { capacityActiveSince = {} } = await this.storageGet('capacityActiveSince');
+            this.capacityActiveSince = capacityActiveSince;
         }
+    }
 
-        const capacity = this.capacities[parseInt(selectedIndex)];
-        const state = capacity.properties?.state || 'Unknown';
+    /**
+     * Accumulated spend of a running capacity since it was first seen Active ('' when not running)
+     */
+    formatRunningCost(capacity) {
+        const since = this.capacityActiveSince[capacity.id];
+        if (capacity.properties?.state !== 'Active' || !since) return '';
+        const hourly = this.getHourlyPrice(capacity.location, capacity.sku?.name);
+        if (hourly === null) return '';
+        const elapsedMs = Date.now() - since;
+        return `${this.formatMoney(hourly * elapsedMs / 3600000)} in ${this.formatElapsed(elapsedMs)}`;
+    }
 
-        // Enable/disable buttons based on current state
-        this.startButton.disabled = (state === 'Active');
-        this.stopButton.disabled = (state === 'Paused');
+    /** Format a long running time as "6h 10m" */
+    formatElapsed(ms) {
+        const totalMinutes = Math.floor(ms / 60000);
+        const hours = Math.floor(totalMinutes / 60);
+        return hours > 0 ? `${hours}h ${totalMinutes % 60}m` : `${totalMinutes}m`;
+    }
 
-        // Enable SKU controls and load available SKUs
-        this.skuSelect.disabled = false;
-        await this.loadAvailableSkus(capacity);
-        await this.populateSkuDropdown(capacity);
+    /** Refresh the running-cost counters every 30 seconds while the list is shown */
+    startCostTicker() {
+        if (this.costTickerId) return;
+        this.costTickerId = setInterval(() => this.updateRunningCosts(), 30000);
+    }
 
-        this.log(`Selected capacity: ${capacity.name} (${state}) - SKU: ${capacity.sku?.name || 'Unknown'}`);
-        this.debugLog(`Capacity details: ${JSON.stringify(capacity, null, 2)}`);
+    updateRunningCosts() {
+        this.capacityList.querySelectorAll('.capacity-cost').forEach(element => {
+            const capacity = this.capacities.find(c => c.id === element.dataset.capacityId);
+            if (capacity) {
+                element.textContent = this.formatRunningCost(capacity);
+            }
+        });
     }
 
     /**
-     * Start the selected capacity
+     * Pick the capacity metric to chart from the capacity's Azure Monitor metricDefinitions (one of
+     * cuMetricNames). Resolves to false when none is published, rather than charting an unrelated metric.
      */
-    async startCapacity() {
-        await this.performCapacityOperation('resume', 'Starting');
+    async getMetricDefinition(capacity) {
+        const key = capacity.id.toLowerCase();
+        if (this.metricDefinitions.has(key)) return this.metricDefinitions.get(key);
+
+        const url = `${this.baseUrl}${capacity.id}/providers/Microsoft.Insights/metricDefinitions?api-version=${this.metricsApiVersion}`;
+        const response = await this.makeApiCall(url);
+        const definition = (response.value || [])
+            .find(entry => this.cuMetricNames.includes((entry.name?.value || '').toLowerCase()));
+        const picked = definition ? {
+            name: definition.name.value,
+            displayName: definition.name.localizedValue || definition.name.value,
+            unit: definition.unit,
+            aggregation: definition.primaryAggregationType || 'Average'
+        } : false;
+        this.metricDefinitions.set(key, picked);
+        this.debugLog(`Metric for ${capacity.name}: ${picked ? picked.name : 'no CU metric published'}`);
+        return picked;
     }
 
     /**
-     * Stop the selected capacity
+     * Metrics of a capacity for a window ('1h' | '24h' | '7d') as { points: [{ at, value }], definition },
+     * cached for metricCacheTtlMs. Resolves to null when no CU metric is available.
      */
-    async stopCapacity() {
-        await this.performCapacityOperation('suspend', 'Stopping');
+    async getCapacityMetrics(capacity, windowKey) {
+        const cacheKey = `${capacity.id}|${windowKey}`;
+        const cached = this.metricCache.get(cacheKey) || (await this.storageGet('metricCache')).metricCache?.[cacheKey];
+        if (cached && Date.now() - cached.fetchedAt < this.metricCacheTtlMs) {
+            this.metricCache.set(cacheKey, cached);
+            return cached.definition ? cached : null;
+        }
+        const definition = await this.getMetricDefinition(capacity);
+        if (!definition) {
+            this.metricCache.set(cacheKey, { points: [], definition: null, fetchedAt: Date.now() });
+            return null;
+        }
+
+        const timeWindow = this.metricWindows[windowKey];
+        const url = `${this.baseUrl}${capacity.id}/providers/Microsoft.Insights/metrics?api-version=${this.metricsApiVersion}` +
+            `&metricnames=${encodeURIComponent(definition.name)}&timespan=${timeWindow.timespan}&interval=${timeWindow.interval}` +
+            `&aggregation=${definition.aggregation}`;
+        const response = await this.makeApiCall(url);
+        const field = definition.aggregation.charAt(0).toLowerCase() + definition.aggregation.slice(1);
+        const data = response.value?.[0]?.timeseries?.[0]?.data || [];
+        const points = data
+            .filter(point => typeof point[field] === 'number')
+            .map(point => ({ at: point.timeStamp, value: point[field] }));
+        const entry = { points, definition, fetchedAt: Date.now() };
+        this.metricCache.set(cacheKey, entry);
+        return entry;
+    }
+
+    /** Write the in-memory metric cache to chrome.storage.local, dropping expired entries */
+    async persistMetricCache() {
+        const { metricCache = {} } = await this.storageGet('metricCache');
+        for (const [cacheKey, entry] of this.metricCache) {
+            metricCache[cacheKey] = entry;
+        }
+        for (const [cacheKey, entry] of Object.entries(metricCache)) {
+            if (Date.now() - entry.fetchedAt >= this.metricCacheTtlMs) delete metricCache[cacheKey];
+        }
+        await this.storageSet({ metricCache });
     }
 
     /**
-     * Perform capacity operation (start/stop)
+     * Fetch sparkline data for the running capacities in the list (3 at a time, cached entries are not
+     * refetched) and draw it into their rows
      */
-    async performCapacityOperation(operation, operationName) {
-        const selectedIndex = this.selectedCapacityIndex;
-        if (selectedIndex === null || selectedIndex === undefined) return;
-
-        const capacity = this.capacities[parseInt(selectedIndex)];
-        
-        try {
-            this.log(`${operationName} capacity ${capacity.name}...`);
-            await this.setButtonsEnabled(false);
-
-            const url = `${this.baseUrl}${capacity.id}/${operation}?api-version=${this.fabricApiVersion}`;
-            
-            await this.makeApiCall(url, 'POST');
-            
-            this.logSuccess(`${operationName} operation initiated for ${capacity.name}`);
-            
-            // Refresh the capacity list to update status after a short delay
-            setTimeout(async () => {
-                await this.refreshCapacities();
-            }, 2000);
+    async refreshSparklines() {
+        const running = this.getVisibleCapacities()
+            .map(({ capacity }) => capacity)
+            .filter(capacity => capacity.properties?.state === 'Active');
+        await this.runWithConcurrency(running, 3, async capacity => {
+            try {
+                await this.getCapacityMetrics(capacity, this.metricsWindow);
+            } catch (error) {
+                this.debugLog(`Metrics unavailable for ${capacity.name}: ${error.message}`);
+                return;
+            }
+            const element = this.capacityList.querySelector(`.capacity-spark[data-capacity-id="${CSS.escape(capacity.id)}"]`);
+            if (element) {
+                this.renderSparkline(element, capacity);
+            }
+        });
+        await this.persistMetricCache();
+    }
 
-        } catch (error) {
-            this.logError(`Failed to ${operation} capacity ${capacity.name}`, error);
-        } finally {
-            await this.setButtonsEnabled(true);
+    /** Draw the cached metric points of a capacity into its row (nothing when none are cached or no CU metric fits) */
+    renderSparkline(element, capacity) {
+        element.innerHTML = '';
+        element.title = '';
+        const cached = this.metricCache.get(`${capacity.id}|${this.metricsWindow}`);
+        element.classList.toggle('no-metric', Boolean(cached) && !cached.definition);
+        if (cached && !cached.definition) {
+            element.textContent = 'No CU metric';
+            element.title = 'Azure Monitor publishes no capacity unit metric for this capacity';
+            return;
         }
+        if (!cached?.definition || cached.points.length < 2) return;
+        element.appendChild(this.createMetricSvg(cached.points, 60, 16, cached.definition));
+        const latest = cached.points[cached.points.length - 1].value;
+        element.title = `${cached.definition.displayName}: ${this.formatMetricValue(latest, cached.definition)} (latest, ${this.metricWindows[this.metricsWindow].label})`;
     }
 
     /**
-     * Load available SKUs for Fabric capacities
+     * Draw the metric chart in the Metrics tab, with latest / average / peak values
      */
-    async loadAvailableSkus(capacity) {
+    async renderMetricsChart(capacity) {
+        this.metricsChart.innerHTML = '';
+        this.metricsSummary.textContent = 'Loading metrics...';
+        let metrics;
         try {
-            this.debugLog('Loading available SKUs...');
-            
-            // Common Fabric capacity SKUs based on Azure documentation
-            // These are the standard SKUs available for Microsoft Fabric
-            this.availableSkus = [
-                { name: 'F2', displayName: 'F2 (2 vCores, 4 GB RAM)', description: 'Small workloads' },
-                { name: 'F4', displayName: 'F4 (4 vCores, 8 GB RAM)', description: 'Development and testing' },
-                { name: 'F8', displayName: 'F8 (8 vCores, 16 GB RAM)', description: 'Light production workloads' },
-                { name: 'F16', displayName: 'F16 (16 vCores, 32 GB RAM)', description: 'Medium production workloads' },
-                { name: 'F32', displayName: 'F32 (32 vCores, 64 GB RAM)', description: 'Heavy production workloads' },
-                { name: 'F64', displayName: 'F64 (64 vCores, 128 GB RAM)', description: 'Enterprise workloads' },
-                { name: 'F128', displayName: 'F128 (128 vCores, 256 GB RAM)', description: 'Large enterprise workloads' },
-                { name: 'F256', displayName: 'F256 (256 vCores, 512 GB RAM)', description: 'Very large enterprise workloads' },
-                { name: 'F512', displayName: 'F512 (512 vCores, 1024 GB RAM)', description: 'Maximum capacity workloads' }
-            ];
-
-            // Alternatively, we could fetch available SKUs from Azure API
-            // const subscriptionId = capacity.subscriptionId;
-            // const location = capacity.location;
-            // const url = `${this.baseUrl}/subscriptions/${subscriptionId}/providers/Microsoft.Fabric/locations/${location}/skus?api-version=${this.fabricApiVersion}`;
-            // const response = await this.makeApiCall(url);
-            // this.availableSkus = response.value || [];
-
-            this.debugLog(`Loaded ${this.availableSkus.length} available SKUs`);
+            metrics = await this.getCapacityMetrics(capacity, this.metricsWindow);
+            await this.persistMetricCache();
         } catch (error) {
-            this.logError('Failed to load available SKUs', error);
-            // Use default SKUs if API call fails
-            this.availableSkus = [
-                { name: 'F2', displayName: 'F2', description: 'Small' },
-                { name: 'F4', displayName: 'F4', description: 'Medium' },
-                { name: 'F8', displayName: 'F8', description: 'Large' }
-            ];
+            this.metricsSummary.textContent = 'Metrics unavailable';
+            this.logError(`Failed to load metrics for ${capacity.name}`, error);
+            return;
+        }
+        if (this.getSelectedCapacity()?.id !== capacity.id) return;
+        if (metrics === null) {
+            this.metricsSummary.textContent = 'No CU metric: Azure Monitor publishes no capacity unit metric for this capacity';
+            return;
+        }
+        const { points, definition } = metrics;
+        if (points.length === 0) {
+            this.metricsSummary.textContent = `No data in the ${this.metricWindows[this.metricsWindow].label} (paused capacities report none)`;
+            return;
         }
+        const values = points.map(point => point.value);
+        const average = values.reduce((sum, value) => sum + value, 0) / values.length;
+        this.metricsSummary.textContent = `${definition.displayName}: latest ${this.formatMetricValue(values[values.length - 1], definition)}, ` +
+            `average ${this.formatMetricValue(average, definition)}, peak ${this.formatMetricValue(Math.max(...values), definition)}`;
+        const svg = this.createMetricSvg(points, 300, 90, definition);
+        svg.setAttribute('preserveAspectRatio', 'none');
+        this.metricsChart.appendChild(svg);
+        this.metricsChart.title = `${new Date(points[0].at).toLocaleString()} - ${new Date(points[points.length - 1].at).toLocaleString()}`;
+    }
+
+    /** Polyline SVG of metric points; percentages are drawn against 100, other units against their peak */
+    createMetricSvg(points, width, height, definition) {
+        const namespace = 'http://www.w3.org/2000/svg';
+        const values = points.map(point => point.value);
+        const max = definition?.unit === 'Percent' ? Math.max(100, ...values) : Math.max(...values) || 1;
+        const svg = document.createElementNS(namespace, 'svg');
+        svg.setAttribute('width', width);
+        svg.setAttribute('height', height);
+        svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+        const polyline = document.createElementNS(namespace, 'polyline');
+        const step = width / (values.length - 1);
+        polyline.setAttribute('points', values
+            .map((value, index) => `${(index * step).toFixed(1)},${(height - 1 - (value / max) * (height - 2)).toFixed(1)}`)
+            .join(' '));
+        polyline.setAttribute('fill', 'none');
+        polyline.setAttribute('stroke', '#0078d4');
+        polyline.setAttribute('stroke-width', '1.5');
+        polyline.setAttribute('vector-effect', 'non-scaling-stroke');
+        svg.appendChild(polyline);
+        return svg;
+    }
+
+    formatMetricValue(value, definition) {
+        const rounded = Math.round(value * 10) / 10;
+        return definition?.unit === 'Percent' ? `${rounded}%` : `${rounded}`;
     }
 
     /**
@@ -1368,22 +3782,46 @@ class FabricCapacityManager {
             const currentOption = document.createElement('option');
             currentOption.value = currentSku;
             currentOption.textContent = `Current: ${currentSku}`;
+            const currentHourly = this.getHourlyPrice(capacity.location, currentSku);
+            if (currentHourly !== null) {
+                currentOption.textContent += ` · ${this.formatMoney(currentHourly)}/h`;
+            }
             currentOption.selected = true;
             this.skuSelect.appendChild(currentOption);
+
+            // Regional CU quota: upgrades need (new CU - current CU) of headroom
+            const quota = await this.getFabricQuota(capacity.subscriptionId, capacity.location);
+            const currentUnits = this.getSkuCapacityUnits(currentSku) || 0;
+            if (quota) {
+                const quotaOption = document.createElement('option');
+                quotaOption.disabled = true;
+                quotaOption.textContent = this.describeQuota(quota, capacity.location);
+                this.skuSelect.appendChild(quotaOption);
+            }
             
-            // Add separator
+            // Add separator (labelled when the list is the offline fallback)
             const separator = document.createElement('option');
             separator.disabled = true;
-            separator.textContent = '─────────────────';
+            separator.textContent = this.availableSkusSource === 'fallback'
+                ? '── Offline list (region not checked) ──'
+                : '─────────────────';
             this.skuSelect.appendChild(separator);
             
-            // Add available SKUs
+            // Add available SKUs with their estimated cost
             this.availableSkus.forEach(sku => {
                 if (sku.name !== currentSku) {
                     const option = document.createElement('option');
                     option.value = sku.name;
                     option.textContent = sku.displayName || sku.name;
+                    const hourly = this.getHourlyPrice(capacity.location, sku.name);
+                    if (hourly !== null) {
+                        option.textContent += ` · ${this.formatMoney(hourly)}/h · ${this.formatMoney(hourly * this.priceTable.hoursPerMonth)}/mo`;
+                    }
                     option.title = sku.description || '';
+                    if (quota && (this.getSkuCapacityUnits(sku.name) || 0) - currentUnits > quota.headroom) {
+                        option.disabled = true;
+                        option.textContent += ' · exceeds quota';
+                    }
                     this.skuSelect.appendChild(option);
                 }
             });
@@ -1409,8 +3847,9 @@ class FabricCapacityManager {
         const capacity = this.capacities[parseInt(selectedIndex)];
         const currentSku = capacity.sku?.name || 'Unknown';
         
-        // Enable update button only if a different SKU is selected
-        this.updateSkuButton.disabled = (selectedSku === currentSku || selectedSku.startsWith('Current:'));
+        // Enable update button only if a different SKU is selected and no operation is in flight
+        this.updateSkuButton.disabled = (selectedSku === currentSku || selectedSku.startsWith('Current:')) ||
+            this.pendingOperations.has(capacity.id);
         
         if (selectedSku !== currentSku && !selectedSku.startsWith('Current:')) {
             this.debugLog(`SKU change selected: ${currentSku} → ${selectedSku}`);
@@ -1445,6 +3884,17 @@ class FabricCapacityManager {
             if (!proceed) return;
         }
         
+        // Re-check the regional quota right before submitting (other capacities may have grown meanwhile)
+        const extraUnits = (this.getSkuCapacityUnits(selectedSku) || 0) - (this.getSkuCapacityUnits(currentSku) || 0);
+        if (extraUnits > 0) {
+            const quota = await this.getFabricQuota(capacity.subscriptionId, capacity.location, true);
+            if (quota && extraUnits > quota.headroom) {
+                this.logError(`Cannot scale ${capacity.name} to ${selectedSku}: needs ${extraUnits} more CU but only ${quota.headroom} CU ` +
+                    `of the ${quota.limit} CU quota are free in ${capacity.location}. Request a quota increase or scale down another capacity first.`);
+                return;
+            }
+        }
+
         try {
             this.log(`Updating capacity ${capacity.name} SKU from ${currentSku} to ${selectedSku}...`);
             await this.setButtonsEnabled(false);
@@ -1461,18 +3911,12 @@ class FabricCapacityManager {
             const url = `${this.baseUrl}${capacity.id}?api-version=${this.fabricApiVersion}`;
             
             // Use PATCH method to update the capacity
-            await this.makeApiCall(url, 'PATCH', updatePayload);
+            const result = await this.makeApiCall(url, 'PATCH', updatePayload);
             
             this.logSuccess(`SKU update initiated for ${capacity.name}: ${currentSku} → ${selectedSku}`);
             
-            // Refresh the capacity list to update SKU information after a delay
-            setTimeout(async () => {
-                await this.refreshCapacities();
-                // Re-select the same capacity to update the SKU dropdown
-                if (this.selectedCapacityIndex !== null) {
-                    await this.onCapacitySelectionChange();
-                }
-            }, 3000);
+            // Follow the scale operation; refreshCapacities re-selects the capacity when it settles
+            this.trackCapacityOperation(capacity, result, 'Scaling');
 
         } catch (error) {
             this.logError(`Failed to update SKU for capacity ${capacity.name}`, error);
@@ -1484,9 +3928,11 @@ class FabricCapacityManager {
     }
 
     /**
-     * Make API call to Azure
+     * Make API call to Azure.
+     * Idempotent calls (GET, PUT, DELETE, or { idempotent: true } for read-only POSTs) are retried on
+     * throttling and transient server errors; other POSTs and PATCHes (resume, suspend, resize) are sent once.
      */
-    async makeApiCall(url, method = 'GET', body = null) {
+    async makeApiCall(url, method = 'GET', body = null, { idempotent = this.isIdempotentMethod(method) } = {}) {
         if (!this.accessToken) {
             throw new Error('No access token available');
         }
@@ -1510,7 +3956,7 @@ class FabricCapacityManager {
             options.body = JSON.stringify(body);
         }
 
-    const response = await this.timedFetch(url, options, 20000);
+        const response = await this.fetchWithRetry(url, options, idempotent);
 
         if (!response.ok) {
             const errorText = await response.text();
@@ -1539,11 +3985,8 @@ class FabricCapacityManager {
                     }
                     
                     // Handle successful retry response
-                    if (method === 'POST' && retryResponse.status === 202) {
-                        return { success: true };
-                    }
-                    if (method === 'PATCH' && (retryResponse.status === 200 || retryResponse.status === 202)) {
-                        return { success: true };
+                    if (this.isMutatingMethod(method)) {
+                        return await this.buildMutationResult(retryResponse);
                     }
                     
                     const retryResponseText = await retryResponse.text();
@@ -1569,11 +4012,8 @@ class FabricCapacityManager {
                     }
                     
                     // Handle successful retry response
-                    if (method === 'POST' && retryResponse.status === 202) {
-                        return { success: true };
-                    }
-                    if (method === 'PATCH' && (retryResponse.status === 200 || retryResponse.status === 202)) {
-                        return { success: true };
+                    if (this.isMutatingMethod(method)) {
+                        return await this.buildMutationResult(retryResponse);
                     }
                     
                     const retryResponseText = await retryResponse.text();
@@ -1591,21 +4031,359 @@ class FabricCapacityManager {
                     errorMessage += ' You may need additional Azure RBAC permissions.';
                 }
                 
-                throw new Error(errorMessage);
+                throw Object.assign(new Error(errorMessage), { status: response.status });
             }
             
-            throw new Error(`API call failed: ${response.status} ${response.statusText}`);
+            throw Object.assign(new Error(`API call failed: ${response.status} ${response.statusText}`), { status: response.status });
         }
 
-        // Handle empty responses for POST and PATCH operations
-        if ((method === 'POST' || method === 'PATCH') && (response.status === 200 || response.status === 202)) {
-            return { success: true };
+        // Mutating calls return an envelope carrying any long-running operation headers
+        if (this.isMutatingMethod(method)) {
+            return await this.buildMutationResult(response);
         }
 
         const responseText = await response.text();
         return responseText ? JSON.parse(responseText) : {};
     }
 
+    /**
+     * Send a request, retrying idempotent ones on a network failure or a retryableStatuses response
+     * with exponential backoff and jitter (or the server's Retry-After) until retryMaxAttempts or
+     * retryMaxTotalWaitMs is reached. Returns the last response; the caller handles non-OK statuses.
+     */
+    async fetchWithRetry(url, options, idempotent) {
+        let waitedMs = 0;
+        for (let attempt = 0; ; attempt++) {
+            const pauseMs = this.rateLimitPauseUntil - Date.now();
+            if (pauseMs > 0) {
+                await this.sleep(pauseMs);
+            }
+
+            let response;
+            try {
+                response = await this.timedFetch(url, options, 20000);
+            } catch (error) {
+                const delay = idempotent ? this.getRetryDelay(attempt, null, waitedMs) : null;
+                if (delay === null) throw error;
+                this.log(`Retrying ${options.method} ${this.describeRequestUrl(url)} in ${(delay / 1000).toFixed(1)}s after ${error.name === 'AbortError' ? 'a timeout' : error.message} (retry ${attempt + 1} of ${this.retryMaxAttempts})`);
+                await this.sleep(delay);
+                waitedMs += delay;
+                continue;
+            }
+
+            this.noteRateLimitRemaining(response.headers);
+            if (!idempotent || !this.retryableStatuses.includes(response.status)) {
+                return response;
+            }
+            const delay = this.getRetryDelay(attempt, response.headers, waitedMs);
+            if (delay === null) {
+                this.debugLog(`Not retrying ${options.method} ${this.describeRequestUrl(url)} again: retry limit reached`);
+                return response;
+            }
+            this.log(`Retrying ${options.method} ${this.describeRequestUrl(url)} in ${(delay / 1000).toFixed(1)}s after ${response.status} ${response.statusText} (retry ${attempt + 1} of ${this.retryMaxAttempts})`);
+            await this.sleep(delay);
+            waitedMs += delay;
+        }
+    }
+
+    /**
+     * Milliseconds to wait before retry number attempt + 1, or null when no retry is left.
+     * Retry-After wins; otherwise exponential backoff with jitter, stretched to the maximum when the
+     * response says the rate-limit budget is spent.
+     */
+    getRetryDelay(attempt, headers, waitedMs) {
+        if (attempt >= this.retryMaxAttempts) return null;
+        const backoffMs = Math.min(this.retryMaxDelayMs, this.retryBaseDelayMs * 2 ** attempt);
+        let delay = Math.round(backoffMs / 2 + Math.random() * backoffMs / 2);
+        const retryAfterMs = headers ? this.parseRetryAfter(headers.get('Retry-After')) : null;
+        if (retryAfterMs !== null) {
+            delay = retryAfterMs;
+        } else if (headers && this.getRateLimitRemaining(headers) === 0) {
+            delay = this.retryMaxDelayMs;
+        }
+        return waitedMs + delay > this.retryMaxTotalWaitMs ? null : delay;
+    }
+
+    /**
+     * Lowest x-ms-ratelimit-remaining-* value on a response, or null when none is present.
+     * Values are plain counts, or "resource;count" pairs for per-resource limits.
+     */
+    getRateLimitRemaining(headers) {
+        let remaining = null;
+        for (const [name, value] of headers) {
+            if (!name.toLowerCase().startsWith('x-ms-ratelimit-remaining-')) continue;
+            for (const part of value.split(',')) {
+                const count = Number(part.split(';').pop());
+                if (!Number.isNaN(count) && (remaining === null || count < remaining)) {
+                    remaining = count;
+                }
+            }
+        }
+        return remaining;
+    }
+
+    /** Hold back the next ARM request briefly when the remaining request budget is low */
+    noteRateLimitRemaining(headers) {
+        const remaining = this.getRateLimitRemaining(headers);
+        if (remaining === null || remaining >= this.rateLimitLowWatermark) return;
+        if (Date.now() >= this.rateLimitPauseUntil) {
+            this.log(`ARM rate limit nearly reached (${remaining} requests left); slowing down`);
+        }
+        this.rateLimitPauseUntil = Date.now() + this.rateLimitPauseMs;
+    }
+
+    /** Short form of an ARM URL for log lines (path without the query string) */
+    describeRequestUrl(url) {
+        try {
+            return new URL(url).pathname;
+        } catch (e) {
+            return url;
+        }
+    }
+
+    /** True for HTTP methods that can be resent without changing the outcome */
+    isIdempotentMethod(method) {
+        return ['GET', 'HEAD', 'PUT', 'DELETE'].includes(method);
+    }
+
+    /** True for HTTP methods that change ARM resources */
+    isMutatingMethod(method) {
+        return ['POST', 'PUT', 'PATCH', 'DELETE'].includes(method);
+    }
+
+    /**
+     * Build the result of a successful mutating call.
+     * ARM answers 201/202 with Azure-AsyncOperation and/or Location headers for long-running operations.
+     */
+    async buildMutationResult(response) {
+        const responseText = await response.text();
+        let body = null;
+        if (responseText) {
+            try {
+                body = JSON.parse(responseText);
+            } catch (e) {
+                this.debugLog('Mutation response body is not JSON');
+            }
+        }
+        const asyncOperationUrl = response.headers.get('Azure-AsyncOperation');
+        const locationUrl = response.headers.get('Location');
+        const operation = (asyncOperationUrl || locationUrl) ? {
+            asyncOperationUrl,
+            locationUrl,
+            retryAfterMs: this.parseRetryAfter(response.headers.get('Retry-After'))
+        } : null;
+        if (operation) {
+            this.debugLog(`Long-running operation started (${response.status}): ${asyncOperationUrl || locationUrl}`);
+        }
+        return { success: true, status: response.status, body, operation };
+    }
+
+    /**
+     * Parse a Retry-After header (delta seconds or HTTP date) into milliseconds
+     */
+    parseRetryAfter(value) {
+        if (!value) return null;
+        const seconds = Number(value);
+        if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+        const date = Date.parse(value);
+        return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+    }
+
+    /** Promise-based delay */
+    sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    /**
+     * Poll an ARM long-running operation until it reaches a final state.
+     * Azure-AsyncOperation returns a status document; Location returns 202 until the operation completes.
+     * A resourceUrl (PUT without tracking headers) is polled until properties.provisioningState is final,
+     * or with untilDeleted (DELETE without tracking headers) until the resource returns 404.
+     * A network error, 429 or 5xx on a poll says nothing about the operation itself: polling continues with
+     * backoff (or the server's Retry-After) until the deadline.
+     * Resolves to { status: 'Succeeded' | 'Failed' | 'Canceled' | 'TimedOut', error, body }.
+     */
+    async pollLongRunningOperation(operation) {
+        const pollUrl = operation.asyncOperationUrl || operation.locationUrl || operation.resourceUrl;
+        const startedAt = Date.now();
+        let delayMs = operation.retryAfterMs || this.lroDefaultPollMs;
+        let transientFailures = 0;
+
+        while (Date.now() - startedAt < this.lroTimeoutMs) {
+            await this.sleep(delayMs);
+            const token = await this.ensureFreshManagementToken() || this.accessToken;
+            let response;
+            try {
+                response = await this.timedFetch(pollUrl, {
+                    method: 'GET',
+                    headers: this.getAuthHeaders(token)
+                }, 20000);
+            } catch (error) {
+                delayMs = Math.min(this.lroMaxPollMs, this.lroDefaultPollMs * 2 ** ++transientFailures);
+                this.debugLog(`Operation poll failed (${error.name === 'AbortError' ? 'timeout' : error.message}); polling again in ${Math.round(delayMs / 1000)}s`);
+                continue;
+            }
+            const retryAfterMs = this.parseRetryAfter(response.headers.get('Retry-After'));
+            if (this.isTransientPollStatus(response.status)) {
+                delayMs = retryAfterMs ?? Math.min(this.lroMaxPollMs, this.lroDefaultPollMs * 2 ** ++transientFailures);
+                this.debugLog(`Operation poll returned ${response.status} ${response.statusText}; polling again in ${Math.round(delayMs / 1000)}s`);
+                continue;
+            }
+            transientFailures = 0;
+            const responseText = await response.text();
+            let body = null;
+            try {
+                body = responseText ? JSON.parse(responseText) : null;
+            } catch (e) {
+                body = null;
+            }
+            delayMs = retryAfterMs || this.lroDefaultPollMs;
+
+            if (operation.asyncOperationUrl) {
+                if (!response.ok) {
+                    return { status: 'Failed', error: body?.error || { message: `${response.status} ${response.statusText}` }, body };
+                }
+                const status = body?.status || 'InProgress';
+                this.debugLog(`Operation status: ${status}`);
+                if (['Succeeded', 'Failed', 'Canceled'].includes(status)) {
+                    return { status, error: body?.error || null, body };
+                }
+                continue;
+            }
+
+            if (!operation.locationUrl) {
+                if (operation.untilDeleted && response.status === 404) {
+                    return { status: 'Succeeded', error: null, body: null };
+                }
+                if (!response.ok) {
+                    return { status: 'Failed', error: body?.error || { message: `${response.status} ${response.statusText}` }, body };
+                }
+                const provisioningState = body?.properties?.provisioningState || 'Provisioning';
+                this.debugLog(`Provisioning state: ${provisioningState}`);
+                if (operation.untilDeleted ? provisioningState === 'Failed' : ['Succeeded', 'Failed', 'Canceled'].includes(provisioningState)) {
+                    return { status: provisioningState, error: null, body };
+                }
+                continue;
+            }
+
+            // Location polling: 202 means still running, any other success code means done
+            if (response.status === 202) {
+                this.debugLog('Operation still running (202)');
+                continue;
+            }
+            if (response.ok) {
+                return { status: 'Succeeded', error: null, body };
+            }
+            return { status: 'Failed', error: body?.error || { message: `${response.status} ${response.statusText}` }, body };
+        }
+
+        return { status: 'TimedOut', error: { message: `No final state after ${Math.round(this.lroTimeoutMs / 60000)} minutes` }, body: null };
+    }
+
+    /** True for poll responses that say nothing about the operation (throttling, server errors) */
+    isTransientPollStatus(status) {
+        return status === 429 || status >= 500;
+    }
+
+    /**
+     * Follow a capacity operation to completion, showing progress in its row and logging the real outcome
+     */
+    async trackCapacityOperation(capacity, result, operationName) {
+        if (!result?.operation) {
+            // Synchronous completion (or no tracking headers) - just pick up the new state
+            this.debugLog(`No long-running operation returned for ${capacity.name}; refreshing status`);
+            this.markCapacityChanged(capacity);
+            await this.refreshCapacities();
+            return;
+        }
+
+        const startedAt = Date.now();
+        try {
+            const outcome = await this.awaitPendingOperation(capacity, result.operation, operationName);
+            const duration = this.formatDuration(Date.now() - startedAt);
+            if (outcome.status === 'Succeeded') {
+                this.logSuccess(`${operationName} ${capacity.name} completed after ${duration}`);
+            } else {
+                this.logError(`${operationName} ${capacity.name} ${outcome.status.toLowerCase()} after ${duration}`,
+                    this.formatOperationError(outcome.error));
+                if (outcome.body) {
+                    this.debugLog(`Operation result: ${JSON.stringify(outcome.body)}`);
+                }
+            }
+        } catch (error) {
+            this.logError(`Lost track of ${operationName.toLowerCase()} operation for ${capacity.name}`, error);
+        } finally {
+            await this.refreshCapacities();
+        }
+    }
+
+    /**
+     * Poll an operation while the capacity's row shows it as pending; resolves to the poll outcome
+     */
+    async awaitPendingOperation(capacity, operation, label) {
+        this.pendingOperations.set(capacity.id, { label, startedAt: Date.now() });
+        this.populateCapacityList();
+        this.restoreSelectionHighlight();
+        this.startPendingTicker();
+        try {
+            return await this.pollLongRunningOperation(operation);
+        } finally {
+            this.pendingOperations.delete(capacity.id);
+            this.markCapacityChanged(capacity);
+            if (this.pendingOperations.size === 0) {
+                this.stopPendingTicker();
+            }
+        }
+    }
+
+    /** Flatten an ARM error object (with nested details) into a single message */
+    formatOperationError(error) {
+        if (!error) return 'No error details returned';
+        const parts = [error.code, error.message].filter(Boolean);
+        const details = (error.details || []).map(d => [d.code, d.message].filter(Boolean).join(': '));
+        return [parts.join(': '), ...details].filter(Boolean).join(' | ');
+    }
+
+    /** Format a millisecond duration as "1m 05s" */
+    formatDuration(ms) {
+        const totalSeconds = Math.floor(ms / 1000);
+        const minutes = Math.floor(totalSeconds / 60);
+        const seconds = totalSeconds % 60;
+        return minutes > 0 ? `${minutes}m ${seconds.toString().padStart(2, '0')}s` : `${seconds}s`;
+    }
+
+    /** Status text for a capacity row with an operation in flight */
+    formatPendingStatus(pending) {
+        return `${pending.label}… ${this.formatDuration(Date.now() - pending.startedAt)}`;
+    }
+
+    /** Tick elapsed time on pending rows once per second */
+    startPendingTicker() {
+        if (this.pendingTickerId) return;
+        this.pendingTickerId = setInterval(() => {
+            this.capacityList.querySelectorAll('.capacity-status.pending').forEach(element => {
+                const pending = this.pendingOperations.get(element.dataset.capacityId);
+                if (pending) {
+                    element.textContent = this.formatPendingStatus(pending);
+                }
+            });
+        }, 1000);
+    }
+
+    stopPendingTicker() {
+        clearInterval(this.pendingTickerId);
+        this.pendingTickerId = null;
+    }
+
+    /** Re-apply the selected row highlight after the list has been rebuilt */
+    restoreSelectionHighlight() {
+        if (this.selectedCapacityIndex === null || this.selectedCapacityIndex === undefined) return;
+        const item = this.capacityList.querySelector(`[data-index="${this.selectedCapacityIndex}"]`);
+        if (item) {
+            item.classList.add('selected');
+        }
+    }
+
     /**
      * Enable/disable operation buttons
      */
@@ -1616,6 +4394,7 @@ class FabricCapacityManager {
         } else {
             this.startButton.disabled = true;
             this.stopButton.disabled = true;
+            this.deleteButton.disabled = true;
             this.refreshButton.disabled = true;
             // Note: updateSkuButton is handled separately in updateCapacitySku method
         }
@@ -1849,6 +4628,7 @@ class FabricCapacityManager {
             // Then enhance with Graph API data (asynchronous)
             const userInfo = await this.getUserInfo();
             if (userInfo) {
+                await this.updateAccountProfile(userInfo);
                 const tokenData = this.decodeJwtToken(token);
                 const tenantName = tokenData?.tenant_display_name || tokenData?.tenant_name;
                 const userPrincipalName = tokenData?.upn || tokenData?.unique_name;